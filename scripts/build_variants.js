@@ -0,0 +1,56 @@
+"use strict";
+
+/*
+  Regenera las variantes minificada / .gz / .br de lo publicado (todos los datasets) y borra las que sobran.
+  Las variantes no se versionan en git: el deploy de Pages corre esto antes de subir public/.
+  Si los tamaños / hashes no coinciden con el manifest (ej. otra versión de zlib), se actualiza el manifest.
+  Definición: scripts/lib/variants.js
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, safeObj } = require("./lib/io");
+const { syncVariants, pruneVariants } = require("./lib/variants");
+const { syncRootManifest } = require("./lib/root_manifest");
+const datasets = require("./datasets");
+
+function main()
+{
+    const repoRoot = process.cwd();
+
+    for(const def of datasets)
+    {
+        const dir = join(repoRoot, "public", def.dir);
+        const manifestPath = join(dir, "manifest.json");
+
+        if(!existsSync(manifestPath))
+        {
+            console.log(`[INFO] ${def.dir}: sin manifest, se saltea.`);
+            continue;
+        }
+
+        const manifest = safeObj(readJSON(manifestPath));
+
+        if(syncVariants(def, dir, manifest))
+        {
+            writeJSON(manifestPath, manifest);
+            console.log(`[OK] ${def.dir}: manifest actualizado con las variantes.`);
+        }
+
+        pruneVariants(def, dir, manifest, null);
+    }
+
+    syncRootManifest(repoRoot);
+    console.log("[OK] Variantes al día.");
+}
+
+try
+{
+    main();
+
+}catch(e)
+{
+    console.error("[FATAL]", e);
+    process.exit(1);
+}
@@ -0,0 +1,57 @@
+"use strict";
+
+/*
+  Limpieza de archivos versionados no referenciados por los manifests (todos los datasets).
+
+  node scripts/cleanup_versions.js             # borra según RETENTION_KEEP (default 1 = solo el actual)
+  node scripts/cleanup_versions.js --dry-run   # solo reporta
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, safeObj } = require("./lib/io");
+const { getRetentionConfig, applyRetention } = require("./lib/retention");
+const datasets = require("./datasets");
+
+function main()
+{
+    const repoRoot = process.cwd();
+    const dryRun = process.argv.includes("--dry-run");
+    let removed = 0;
+
+    for(const def of datasets)
+    {
+        const dir = join(repoRoot, "public", def.dir);
+        const manifestPath = join(dir, "manifest.json");
+
+        if(!existsSync(manifestPath))
+        {
+            console.log(`[INFO] ${def.dir}: sin manifest, se saltea.`);
+            continue;
+        }
+
+        const config = getRetentionConfig(def);
+        if(dryRun)
+        {
+            config.dryRun = true;
+        }
+
+        const plan = applyRetention(def, dir, safeObj(readJSON(manifestPath)), config);
+        removed += plan.remove.length;
+
+        console.log(`[INFO] ${def.dir}: se conservan ${plan.keep.join(", ") || "(ninguno)"} | a borrar: ${plan.remove.length}`);
+    }
+
+    console.log(dryRun ? "[OK] Dry-run: se borrarían" : "[OK] Borrados:", removed);
+}
+
+try
+{
+    main();
+
+}catch(e)
+{
+    console.error("[FATAL]", e);
+    process.exit(1);
+}
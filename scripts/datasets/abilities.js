@@ -0,0 +1,49 @@
+"use strict";
+
+/*
+  Dataset Ability map: GET /ability/{name} para id+generation+nombre ES + names multi-idioma.
+*/
+
+const { hasOwn } = require("../lib/io");
+const { getNameLanguages, pickNames, pickDisplay, needsNamesRefresh } = require("../lib/names");
+
+// ES primero, EN fallback, último fallback el slug
+function pickNameEsOrEn(json)
+{
+    return pickDisplay(json, ["es", "en"], json && json.name).display || "";
+}
+
+function buildAbilityRecord(a, name, ctx)
+{
+    const gen = (a && a.generation && a.generation.name) ? String(a.generation.name) : null;
+    const id = (a && a.id) ? a.id : null;
+
+    const picked = pickDisplay(a, ["es", "en"], (a && a.name) || name);
+
+    return {
+        id: id,
+        gen: gen,
+        display: picked.display,
+        display_lang: picked.display_lang,
+        names: pickNames(a, getNameLanguages(ctx && ctx.def))
+    };
+}
+
+module.exports = {
+    dir: "abilities",
+    label: "Abilities",
+    resource: "ability",
+    manifestKey: "ability_url",
+    filePrefix: "ability_map",
+    schema: "ability_map.schema.json",
+    manifestSchema: "abilities_manifest.schema.json",
+    schemaVersion: 3,
+    missingSpanishReport: true,
+    requiredFields: ["id", "display"],
+    poolEnv: "ABILITIES_POOL",
+    envPrefix: "ABILITIES",
+    buildRecord: buildAbilityRecord,
+    needsRefresh: (record, ctx) => needsNamesRefresh(record, ctx) || !hasOwn(record, "display_lang"),
+    pickNameEsOrEn,
+    buildAbilityRecord,
+};
@@ -0,0 +1,15 @@
+"use strict";
+
+/*
+  Registro de todos los datasets publicados en public/.
+*/
+
+module.exports = [
+    require("./pokemon"),
+    require("./abilities"),
+    require("./items"),
+    require("./moves"),
+    require("./learnsets"),
+    require("./types"),
+    require("./reference"),
+];
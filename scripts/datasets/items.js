@@ -0,0 +1,64 @@
+"use strict";
+
+/*
+  Dataset Items ES map: GET /item/{name} para id + nombre ES/EN + names multi-idioma + category.
+  Se ordena por id para mantener el JSON prolijo.
+*/
+
+const { hasOwn } = require("../lib/io");
+const { getNameLanguages, pickNames, pickDisplay, needsNamesRefresh } = require("../lib/names");
+
+function pickLocalizedDisplay(itemJson)
+{
+    return pickDisplay(itemJson, ["es", "en"], itemJson && itemJson.name ? itemJson.name : null);
+}
+
+function pickLocalizedName(itemJson)
+{
+    return pickLocalizedDisplay(itemJson).display;
+}
+
+function pickCategoryName(itemJson)
+{
+    return itemJson &&
+        itemJson.category &&
+        itemJson.category.name
+        ? itemJson.category.name
+        : null;
+}
+
+function buildItemRecord(item, name, ctx)
+{
+    const picked = pickLocalizedDisplay(item);
+
+    return {
+        id: item && typeof item.id === "number" ? item.id : null,
+        display: picked.display,
+        display_lang: picked.display_lang,
+        names: pickNames(item, getNameLanguages(ctx && ctx.def)),
+        category: pickCategoryName(item)
+    };
+}
+
+module.exports = {
+    dir: "items",
+    label: "Items",
+    resource: "item",
+    manifestKey: "items_url",
+    filePrefix: "item_es_map",
+    schema: "item_es_map.schema.json",
+    manifestSchema: "items_manifest.schema.json",
+    schemaVersion: 3,
+    missingSpanishReport: true,
+    requiredFields: ["id", "display"],
+    poolEnv: "ITEMS_POOL",
+    envPrefix: "ITEMS",
+    createManifest: true,
+    sortById: true,
+    buildRecord: buildItemRecord,
+    needsRefresh: (record, ctx) => needsNamesRefresh(record, ctx) || !hasOwn(record, "display_lang"),
+    pickLocalizedName,
+    pickLocalizedDisplay,
+    pickCategoryName,
+    buildItemRecord,
+};
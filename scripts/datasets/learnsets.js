@@ -0,0 +1,204 @@
+"use strict";
+
+/*
+  Dataset Learnsets: qué moves aprende cada Pokemon en cada version group.
+  Sale del mismo GET /pokemon/{name} que el Pokemon map (array moves -> version_group_details).
+
+  "<pokemon>": {
+    "id": 1,
+    "groups": {
+      "<version-group>": {
+        "level_up": [{ "move": "tackle", "level": 1 }, ...],   // por nivel, después por move
+        "machine": ["..."], "tutor": ["..."], "egg": ["..."]  // ordenados
+      }
+    }
+  }
+
+  Los métodos fuera de esos cuatro (form-change, light-ball-egg, ...) no se publican.
+  Cada move es una clave de public/moves: antes de publicar se verifica contra el move_es_map actual
+  (si falta alguna, se aborta como una guarda; conviene correr update_moves_es_map.js antes).
+  En changelog.json los cambios van por version group ("groups.<version-group>"), no el learnset entero.
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, safeObj } = require("../lib/io");
+const { getGuardConfig } = require("../lib/guards");
+const { fileNameFromUrl } = require("../lib/versions");
+
+const LEARN_METHODS = {
+    "level-up": "level_up",
+    "machine": "machine",
+    "tutor": "tutor",
+    "egg": "egg",
+};
+
+function emptyGroup()
+{
+    return { level_up: [], machine: [], tutor: [], egg: [] };
+}
+
+function sortGroup(group)
+{
+    const seen = new Set();
+    const levelUp = group.level_up
+        .filter((e) =>
+        {
+            const k = `${e.move}@${e.level}`;
+            if(seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        })
+        .sort((a, b) => (a.level - b.level) || a.move.localeCompare(b.move));
+
+    const uniqueSorted = (list) => Array.from(new Set(list)).sort();
+
+    return {
+        level_up: levelUp,
+        machine: uniqueSorted(group.machine),
+        tutor: uniqueSorted(group.tutor),
+        egg: uniqueSorted(group.egg),
+    };
+}
+
+function buildLearnsetGroups(p)
+{
+    const groups = {};
+
+    for(const m of (p && Array.isArray(p.moves) ? p.moves : []))
+    {
+        const move = m && m.move && m.move.name ? m.move.name : null;
+        if(!move) continue;
+
+        for(const d of (Array.isArray(m.version_group_details) ? m.version_group_details : []))
+        {
+            const vg = d && d.version_group && d.version_group.name ? d.version_group.name : null;
+            const method = d && d.move_learn_method ? LEARN_METHODS[d.move_learn_method.name] : null;
+            if(!vg || !method) continue;
+
+            const group = groups[vg] || (groups[vg] = emptyGroup());
+
+            if(method === "level_up")
+            {
+                group.level_up.push({ move, level: Number.isInteger(d.level_learned_at) ? d.level_learned_at : 0 });
+
+            }else
+            {
+                group[method].push(move);
+            }
+        }
+    }
+
+    const out = {};
+    for(const vg of Object.keys(groups).sort())
+    {
+        out[vg] = sortGroup(groups[vg]);
+    }
+
+    return out;
+}
+
+function buildLearnsetRecord(p)
+{
+    return {
+        id: (p && p.id) ? p.id : null,
+        groups: buildLearnsetGroups(p),
+    };
+}
+
+// Claves del move_es_map publicado (null si todavía no hay map de moves)
+function loadMoveKeys(repoRoot)
+{
+    const dir = join(repoRoot, "public", "moves");
+    const manifestPath = join(dir, "manifest.json");
+
+    if(!existsSync(manifestPath))
+    {
+        return null;
+    }
+
+    const url = safeObj(readJSON(manifestPath)).moves_url;
+    const fileName = fileNameFromUrl(url);
+
+    if(!fileName || !existsSync(join(dir, fileName)))
+    {
+        return null;
+    }
+
+    return new Set(Object.keys(safeObj(readJSON(join(dir, fileName)))));
+}
+
+function findUnknownMoves(map, moveKeys)
+{
+    const unknown = new Set();
+
+    for(const record of Object.values(map))
+    {
+        for(const group of Object.values(safeObj(record && record.groups)))
+        {
+            const moves = group.level_up.map((e) => e.move).concat(group.machine, group.tutor, group.egg);
+
+            for(const move of moves)
+            {
+                if(!moveKeys.has(move))
+                {
+                    unknown.add(move);
+                }
+            }
+        }
+    }
+
+    return Array.from(unknown).sort();
+}
+
+function validateMoveReferences(ctx)
+{
+    const moveKeys = loadMoveKeys(ctx.repoRoot);
+
+    if(!moveKeys)
+    {
+        console.warn("[WARN] No hay move_es_map publicado: no se verifican las claves de moves de los learnsets.");
+        return;
+    }
+
+    const unknown = findUnknownMoves(ctx.map, moveKeys);
+
+    if(!unknown.length)
+    {
+        return;
+    }
+
+    const msg = `learnsets referencian ${unknown.length} moves que no están en move_es_map: ${unknown.slice(0, 10).join(", ")}${unknown.length > 10 ? " ..." : ""}`;
+
+    if(getGuardConfig(ctx.def).force)
+    {
+        console.warn("[WARN] GUARD_FORCE=1: se ignora:", msg);
+        return;
+    }
+
+    throw new Error(`${msg} (correr update_moves_es_map.js antes)`);
+}
+
+module.exports = {
+    dir: "learnsets",
+    label: "Learnsets",
+    resource: "pokemon",
+    manifestKey: "learnsets_url",
+    filePrefix: "learnset_map",
+    schema: "learnset_map.schema.json",
+    manifestSchema: "learnsets_manifest.schema.json",
+    schemaVersion: 1,
+    requiredFields: ["id"],
+    poolEnv: "LEARNSETS_POOL",
+    envPrefix: "LEARNSETS",
+    createManifest: true,
+    changelogNestedFields: ["groups"],
+    buildRecord: (p) => buildLearnsetRecord(p),
+    validate: validateMoveReferences,
+    LEARN_METHODS,
+    buildLearnsetGroups,
+    buildLearnsetRecord,
+    loadMoveKeys,
+    findUnknownMoves,
+};
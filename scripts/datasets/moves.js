@@ -0,0 +1,752 @@
+"use strict";
+
+/*
+  Dataset Moves ES map:
+  - Mantiene un índice local de /machine en public/moves/machines_index.json
+  - Sincroniza máquinas de forma incremental por defecto
+  - Hace rebuild completo del índice de /machine solo si pasó 12 meses o si hace falta por seguridad
+  - Backfill de isContact y flags (Showdown) y reintento de display null sobre el map existente
+  - Agrega faltantes o migra entradas viejas (needsMoveRefresh)
+  - Enriquce cada move con id + display ES + names multi-idioma + type + damage_class + isContact + flags + power + accuracy + pp + machinesByGroup
+    + priority + target (clave de move-target en public/reference) + effect_chance + meta + stat_changes
+    + effect (short_effect, ES con fallback EN, con $effect_chance resuelto) + flavor_text (el más nuevo, ES con fallback EN)
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, todayISO, parseISODateUTC, daysBetweenUTC, safeObj, hasOwn } = require("../lib/io");
+const { API, getJson, getCountFromListResponse, withPool } = require("../lib/http");
+const { assertValid } = require("../lib/schema");
+const { stableStringify } = require("../lib/diff");
+const { getNameLanguages, pickNames, pickDisplay, hasNames } = require("../lib/names");
+const { hasOverride } = require("../lib/overrides");
+
+const SHOWDOWN_MOVES_URL = process.env.SHOWDOWN_MOVES_URL || "https://play.pokemonshowdown.com/data/moves.json";
+const MACHINE_API = `${API}/machine`;
+const MACHINE_CACHE_FILE = "machines_index.json";
+const MACHINE_REBUILD_DAYS = 365;
+
+// Campos agregados en schemaVersion 3 y 4: un registro sin alguno se vuelve a pedir (migración)
+const MOVE_V4_FIELDS = [
+    "display_lang",
+    "priority",
+    "target",
+    "effect_chance",
+    "meta",
+    "stat_changes",
+    "effect",
+    "effect_lang",
+    "flavor_text",
+    "flavor_text_lang",
+];
+
+const TEXT_LANGUAGES = ["es", "en"];
+
+// Solo ES: sin traducción queda null (se reintenta en cada corrida)
+function pickSpanishName(mvJson)
+{
+    return pickDisplay(mvJson, ["es"], null).display;
+}
+
+function pickNumberField(mvJson, fieldName)
+{
+    return mvJson && typeof mvJson[fieldName] === "number" ? mvJson[fieldName] : null;
+}
+
+function isMoveV2Record(record)
+{
+    if(!record || typeof record !== "object")
+    {
+        return false;
+    }
+
+    return hasOwn(record, "id") &&
+        hasOwn(record, "display") &&
+        hasOwn(record, "type") &&
+        hasOwn(record, "damage_class") &&
+        hasOwn(record, "isContact") &&
+        hasOwn(record, "power") &&
+        hasOwn(record, "accuracy") &&
+        hasOwn(record, "pp") &&
+        hasOwn(record, "machinesByGroup");
+}
+
+function isMoveV4Record(record)
+{
+    return isMoveV2Record(record) && MOVE_V4_FIELDS.every((field) => hasOwn(record, field));
+}
+
+function needsMoveRefresh(record, ctx)
+{
+    if(!record || typeof record !== "object")
+    {
+        return true;
+    }
+
+    if(!isMoveV4Record(record) || !hasNames(record, getNameLanguages(ctx && ctx.def)))
+    {
+        return true;
+    }
+
+    return record.display === null || typeof record.display === "undefined";
+}
+
+function normalizeShowdownKey(name)
+{
+    return String(name || "").toLowerCase().replace(/-/g, "");
+}
+
+function buildShowdownIndex(showdownJson)
+{
+    const index = {};
+    const entries = showdownJson && typeof showdownJson === "object" ? Object.entries(showdownJson) : [];
+
+    for(const [key, value] of entries)
+    {
+        index[normalizeShowdownKey(key)] = value;
+    }
+
+    return index;
+}
+
+function getShowdownMove(showdownIndex, pokeApiName)
+{
+    return showdownIndex[normalizeShowdownKey(pokeApiName)] || null;
+}
+
+function getIsContact(showdownIndex, pokeApiName)
+{
+    const mv = getShowdownMove(showdownIndex, pokeApiName);
+
+    if(!mv)
+    {
+        return null;
+    }
+
+    return !!(mv.flags && Object.prototype.hasOwnProperty.call(mv.flags, "contact"));
+}
+
+// Todos los flags de Showdown del move ({ punch: true, protect: true, ... }; ausente = no lo tiene).
+// null si Showdown no tiene el move, igual que isContact.
+function getFlags(showdownIndex, pokeApiName)
+{
+    const mv = getShowdownMove(showdownIndex, pokeApiName);
+
+    if(!mv)
+    {
+        return null;
+    }
+
+    const flags = {};
+    const raw = mv.flags && typeof mv.flags === "object" ? mv.flags : {};
+
+    for(const flag of Object.keys(raw).sort())
+    {
+        if(raw[flag])
+        {
+            flags[flag] = true;
+        }
+    }
+
+    return flags;
+}
+
+function toSpanishMachineName(itemName)
+{
+    const name = String(itemName || "");
+
+    if(/^tm\d+$/i.test(name))
+    {
+        return `MT${name.slice(2)}`;
+    }
+
+    if(/^tr\d+$/i.test(name))
+    {
+        return `DT${name.slice(2)}`;
+    }
+
+    if(/^hm\d+$/i.test(name))
+    {
+        return `MO${name.slice(2)}`;
+    }
+
+    return name.toUpperCase();
+}
+
+function upsertMachineIndexEntry(index, machine)
+{
+    const moveName = machine && machine.move && machine.move.name ? machine.move.name : null;
+    const groupName = machine && machine.version_group && machine.version_group.name ? machine.version_group.name : null;
+    const machineName = machine && machine.item && machine.item.name ? machine.item.name : null;
+
+    if(!moveName || !groupName || !machineName)
+    {
+        return false;
+    }
+
+    if(!index[moveName])
+    {
+        index[moveName] = {};
+    }
+
+    index[moveName][groupName] = {
+        machine: machineName,
+        machine_es: toSpanishMachineName(machineName),
+    };
+
+    return true;
+}
+
+function buildMachinesByGroup(moveName, machineIndex, moveJson)
+{
+    const byGroup = {};
+    const moveMachines = moveJson && Array.isArray(moveJson.machines) ? moveJson.machines : [];
+    const indexedGroups = machineIndex && machineIndex[moveName] ? machineIndex[moveName] : {};
+
+    for(let i = 0; i < moveMachines.length; i++)
+    {
+        const entry = moveMachines[i];
+        const groupName = entry && entry.version_group && entry.version_group.name ? entry.version_group.name : null;
+
+        if(!groupName)
+        {
+            continue;
+        }
+
+        const machineInfo = indexedGroups[groupName] || null;
+
+        if(machineInfo)
+        {
+            byGroup[groupName] = {
+                machine: machineInfo.machine,
+                machine_es: machineInfo.machine_es,
+            };
+        }
+    }
+
+    return byGroup;
+}
+
+function pickSlug(obj)
+{
+    return obj && obj.name ? String(obj.name) : null;
+}
+
+// PokeAPI mete saltos de línea / form feeds / guiones blandos de la edición original del juego
+function normalizeText(text)
+{
+    return String(text).replace(/\u00ad\s*/g, "").replace(/\s+/g, " ").trim();
+}
+
+// short_effect del primer idioma disponible; "$effect_chance" se reemplaza por el valor del move
+function pickEffect(moveJson)
+{
+    const entries = moveJson && Array.isArray(moveJson.effect_entries) ? moveJson.effect_entries : [];
+    const chance = pickNumberField(moveJson, "effect_chance");
+
+    for(const lang of TEXT_LANGUAGES)
+    {
+        const entry = entries.find((e) => e && e.language && e.language.name === lang && (e.short_effect || e.effect));
+
+        if(entry)
+        {
+            const text = normalizeText(entry.short_effect || entry.effect);
+            return { text: chance === null ? text : text.replace(/\$effect_chance/g, String(chance)), lang };
+        }
+    }
+
+    return { text: null, lang: null };
+}
+
+// Id del version group desde su url (".../version-group/20/"); sin url va primero
+function versionGroupId(entry)
+{
+    const url = entry && entry.version_group && entry.version_group.url ? String(entry.version_group.url) : "";
+    const m = url.match(/\/(\d+)\/?$/);
+
+    return m ? Number(m[1]) : 0;
+}
+
+// El flavor text más nuevo: PokeAPI no garantiza el orden, se ordena por id de version group
+function pickFlavorText(moveJson)
+{
+    const entries = moveJson && Array.isArray(moveJson.flavor_text_entries) ? moveJson.flavor_text_entries : [];
+
+    for(const lang of TEXT_LANGUAGES)
+    {
+        const matches = entries.filter((e) => e && e.language && e.language.name === lang && e.flavor_text);
+
+        if(matches.length)
+        {
+            const newest = matches.reduce((best, e) => (versionGroupId(e) >= versionGroupId(best) ? e : best));
+            return { text: normalizeText(newest.flavor_text), lang };
+        }
+    }
+
+    return { text: null, lang: null };
+}
+
+function buildMoveMeta(moveJson)
+{
+    const meta = moveJson && moveJson.meta ? moveJson.meta : null;
+
+    if(!meta)
+    {
+        return null;
+    }
+
+    return {
+        ailment: pickSlug(meta.ailment),
+        ailment_chance: pickNumberField(meta, "ailment_chance"),
+        category: pickSlug(meta.category),
+        crit_rate: pickNumberField(meta, "crit_rate"),
+        drain: pickNumberField(meta, "drain"),
+        flinch_chance: pickNumberField(meta, "flinch_chance"),
+        healing: pickNumberField(meta, "healing"),
+        min_hits: pickNumberField(meta, "min_hits"),
+        max_hits: pickNumberField(meta, "max_hits"),
+        min_turns: pickNumberField(meta, "min_turns"),
+        max_turns: pickNumberField(meta, "max_turns"),
+        stat_chance: pickNumberField(meta, "stat_chance"),
+    };
+}
+
+function buildStatChanges(moveJson)
+{
+    return (moveJson && Array.isArray(moveJson.stat_changes) ? moveJson.stat_changes : [])
+        .filter((s) => s && s.stat && s.stat.name && typeof s.change === "number")
+        .map((s) => ({ stat: s.stat.name, change: s.change }));
+}
+
+function buildMoveRecord(moveJson, showdownIndex, machineIndex, languages)
+{
+    const moveName = moveJson && moveJson.name ? moveJson.name : null;
+    const picked = pickDisplay(moveJson, ["es"], null);
+    const effect = pickEffect(moveJson);
+    const flavor = pickFlavorText(moveJson);
+
+    return {
+        id: pickNumberField(moveJson, "id"),
+        display: picked.display,
+        display_lang: picked.display_lang,
+        names: pickNames(moveJson, languages || getNameLanguages(null)),
+        type: moveJson && moveJson.type ? moveJson.type.name : null,
+        damage_class: moveJson && moveJson.damage_class ? moveJson.damage_class.name : null,
+        isContact: getIsContact(showdownIndex, moveName),
+        flags: getFlags(showdownIndex, moveName),
+        power: pickNumberField(moveJson, "power"),
+        accuracy: pickNumberField(moveJson, "accuracy"),
+        pp: pickNumberField(moveJson, "pp"),
+        priority: pickNumberField(moveJson, "priority"),
+        target: pickSlug(moveJson && moveJson.target),
+        effect_chance: pickNumberField(moveJson, "effect_chance"),
+        meta: buildMoveMeta(moveJson),
+        stat_changes: buildStatChanges(moveJson),
+        effect: effect.text,
+        effect_lang: effect.lang,
+        flavor_text: flavor.text,
+        flavor_text_lang: flavor.lang,
+        machinesByGroup: buildMachinesByGroup(moveName, machineIndex, moveJson),
+    };
+}
+
+async function buildFullMachineIndex()
+{
+    const list = await getJson(`${MACHINE_API}?limit=100000`);
+    const results = list && list.results ? list.results : [];
+    console.log("[INFO] Machines en API (results):", results.length);
+
+    const urls = [];
+
+    for(let i = 0; i < results.length; i++)
+    {
+        const url = results[i] && results[i].url ? results[i].url : null;
+        if(url)
+        {
+            urls.push(url);
+        }
+    }
+
+    const index = {};
+    const POOL = Number(process.env.MACHINES_POOL || 12);
+    console.log("[INFO] Concurrencia pool machines:", POOL);
+
+    let processed = 0;
+
+    await withPool(urls, POOL, async (url) =>
+    {
+        try
+        {
+            const machine = await getJson(url);
+            upsertMachineIndexEntry(index, machine);
+
+            processed++;
+
+            if(processed % 100 === 0)
+            {
+                console.log(`[INFO] Machines procesadas ${processed}/${urls.length}`);
+            }
+
+        }catch(e)
+        {
+            console.warn("[WARN] No pude cargar machine:", url, e && e.message ? e.message : e);
+        }
+    });
+
+    console.log("[INFO] Índice de machines cargado:", Object.keys(index).length);
+    return index;
+}
+
+async function buildMachineIndexDelta(startId, endId)
+{
+    const ids = [];
+
+    for(let id = startId; id <= endId; id++)
+    {
+        ids.push(id);
+    }
+
+    const index = {};
+    const POOL = Number(process.env.MACHINES_POOL || 12);
+    console.log("[INFO] Concurrencia pool machines delta:", POOL);
+
+    let processed = 0;
+
+    await withPool(ids, POOL, async (id) =>
+    {
+        try
+        {
+            const machine = await getJson(`${MACHINE_API}/${id}/`);
+            upsertMachineIndexEntry(index, machine);
+
+            processed++;
+
+            if(processed % 25 === 0 || processed === ids.length)
+            {
+                console.log(`[INFO] Machines delta procesadas ${processed}/${ids.length}`);
+            }
+
+        }catch(e)
+        {
+            console.warn("[WARN] No pude cargar machine delta:", id, e && e.message ? e.message : e);
+        }
+    });
+
+    console.log("[INFO] Delta de machines cargado:", Object.keys(index).length);
+    return index;
+}
+
+function mergeMachineIndexes(target, source)
+{
+    const out = target && typeof target === "object" ? target : {};
+    const entries = source && typeof source === "object" ? Object.entries(source) : [];
+
+    for(const [moveName, groups] of entries)
+    {
+        if(!out[moveName])
+        {
+            out[moveName] = {};
+        }
+
+        const groupEntries = groups && typeof groups === "object" ? Object.entries(groups) : [];
+        for(const [groupName, machineInfo] of groupEntries)
+        {
+            out[moveName][groupName] = machineInfo;
+        }
+    }
+
+    return out;
+}
+
+function applyMachineIndexDeltaToMoves(esMap, deltaIndex)
+{
+    let touched = 0;
+    const entries = deltaIndex && typeof deltaIndex === "object" ? Object.entries(deltaIndex) : [];
+
+    for(const [moveName, groups] of entries)
+    {
+        if(!esMap[moveName])
+        {
+            continue;
+        }
+
+        if(!esMap[moveName].machinesByGroup || typeof esMap[moveName].machinesByGroup !== "object")
+        {
+            esMap[moveName].machinesByGroup = {};
+        }
+
+        const groupEntries = groups && typeof groups === "object" ? Object.entries(groups) : [];
+        for(const [groupName, machineInfo] of groupEntries)
+        {
+            esMap[moveName].machinesByGroup[groupName] = machineInfo;
+            touched++;
+        }
+    }
+
+    return touched;
+}
+
+async function retryNullDisplays(esMap, overrides)
+{
+    let changed = false;
+
+    const nullDisplayKeys = [];
+    for(const name of Object.keys(esMap))
+    {
+        // Un display corregido a mano (overrides.json) no se vuelve a pedir
+        if(hasOverride(overrides, name, "display"))
+        {
+            continue;
+        }
+
+        if(!esMap[name] || esMap[name].display === null || typeof esMap[name].display === "undefined")
+        {
+            nullDisplayKeys.push(name);
+        }
+    }
+
+    if(!nullDisplayKeys.length)
+    {
+        return false;
+    }
+
+    console.log("[INFO] Moves con display null a reintentar:", nullDisplayKeys.length);
+
+    const DISPLAY_POOL = Number(process.env.MOVES_DISPLAY_POOL || 5);
+    console.log("[INFO] Concurrencia pool display:", DISPLAY_POOL);
+
+    let displayAdded = 0;
+    let displayFailed = 0;
+
+    await withPool(nullDisplayKeys, DISPLAY_POOL, async (name, idx) =>
+    {
+        try
+        {
+            const mv = await getJson(`${API}/move/${name}`);
+            const nextDisplay = pickSpanishName(mv);
+
+            if(nextDisplay)
+            {
+                esMap[name].display = nextDisplay;
+                esMap[name].display_lang = "es";
+                changed = true;
+                displayAdded++;
+            }
+
+            if((idx + 1) % 50 === 0)
+            {
+                console.log(`[INFO] Display reintentos ${idx + 1}/${nullDisplayKeys.length} | completados=${displayAdded} | fallidos=${displayFailed}`);
+            }
+
+        }catch(e)
+        {
+            displayFailed++;
+            console.warn("[WARN] No pude reintentar display:", name, e && e.message ? e.message : e);
+        }
+    });
+
+    console.log("[INFO] Display completados:", displayAdded, "| sin cambio:", nullDisplayKeys.length - displayAdded, "| fallidos:", displayFailed);
+
+    return changed;
+}
+
+async function syncMachines(ctx)
+{
+    const manifest = ctx.manifest;
+    const machineCachePath = join(ctx.dir, MACHINE_CACHE_FILE);
+
+    const machineHead = await getJson(`${MACHINE_API}?limit=1`);
+    const apiMachineCount = getCountFromListResponse(machineHead);
+    const localMachineCount = typeof manifest.machines_count === "number" ? manifest.machines_count : null;
+    const lastFullRebuildDate = parseISODateUTC(
+        manifest.machines_full_rebuild_at ? String(manifest.machines_full_rebuild_at) : null
+    );
+    const todayDate = parseISODateUTC(todayISO());
+    const machineRebuildDue = !lastFullRebuildDate || daysBetweenUTC(lastFullRebuildDate, todayDate) >= MACHINE_REBUILD_DAYS;
+    const forceMachineRebuild = String(process.env.FORCE_FULL_MACHINE_REBUILD || "") === "1";
+
+    // Si el cache quedó ilegible (corte a mitad de escritura) se trata como vacío => rebuild completo
+    let machineIndex = {};
+    if(existsSync(machineCachePath))
+    {
+        try
+        {
+            machineIndex = safeObj(readJSON(machineCachePath));
+            console.log("[INFO] Machine cache cargado:", Object.keys(machineIndex).length);
+
+        }catch(e)
+        {
+            console.warn("[WARN] Machine cache ilegible, se rearma:", e && e.message ? e.message : e);
+        }
+    }
+
+    let machineSyncMode = "none";
+    let machineIndexTouched = false;
+    let machineDeltaIndex = {};
+
+    if(forceMachineRebuild || machineRebuildDue || !existsSync(machineCachePath) || Object.keys(machineIndex).length === 0 || localMachineCount === null || (apiMachineCount !== null && localMachineCount !== null && apiMachineCount < localMachineCount))
+    {
+        machineSyncMode = "full";
+        console.log("[INFO] Modo machines: rebuild completo");
+        machineIndex = await buildFullMachineIndex();
+        machineIndexTouched = true;
+        manifest.machines_full_rebuild_at = todayISO();
+
+        if(apiMachineCount !== null)
+        {
+            manifest.machines_count = apiMachineCount;
+        }
+
+    }else if(apiMachineCount !== null && localMachineCount !== null && apiMachineCount > localMachineCount)
+    {
+        machineSyncMode = "incremental";
+        console.log("[INFO] Modo machines: incremental", localMachineCount, "->", apiMachineCount);
+        machineDeltaIndex = await buildMachineIndexDelta(localMachineCount + 1, apiMachineCount);
+        machineIndex = mergeMachineIndexes(machineIndex, machineDeltaIndex);
+        machineIndexTouched = true;
+        manifest.machines_count = apiMachineCount;
+
+    }else
+    {
+        console.log("[INFO] Modo machines: sin cambios");
+
+        if(apiMachineCount !== null && localMachineCount === null)
+        {
+            manifest.machines_count = apiMachineCount;
+        }
+    }
+
+    ctx.machineCachePath = machineCachePath;
+    ctx.machineIndex = machineIndex;
+    ctx.machineIndexTouched = machineIndexTouched;
+
+    if(machineSyncMode === "incremental" && Object.keys(machineDeltaIndex).length)
+    {
+        const touched = applyMachineIndexDeltaToMoves(ctx.map, machineDeltaIndex);
+        if(touched > 0)
+        {
+            ctx.changed = true;
+            console.log("[INFO] Moves actualizados por delta de machines:", touched);
+        }
+    }
+
+    // Rebuild completo => se refrescan todos los moves. Incremental => hay que listar aunque el count no crezca.
+    ctx.refreshAll = machineSyncMode === "full";
+    ctx.forceList = machineSyncMode !== "none";
+}
+
+async function prepareMoves(ctx)
+{
+    const esMap = ctx.map;
+
+    // Showdown: fuente extra para isContact y flags
+    const showdownRaw = await getJson(SHOWDOWN_MOVES_URL);
+    ctx.showdownIndex = buildShowdownIndex(showdownRaw);
+    console.log("[INFO] Showdown moves index cargado:", Object.keys(ctx.showdownIndex).length);
+
+    // Backfill de isContact y flags para lo que ya existe en el mapa local (sin volver a pedir el move).
+    // Lo corregido a mano en overrides.json no se pisa.
+    for(const name of Object.keys(esMap))
+    {
+        const nextIsContact = getIsContact(ctx.showdownIndex, name);
+
+        if(esMap[name].isContact !== nextIsContact && !hasOverride(ctx.overrides, name, "isContact"))
+        {
+            esMap[name].isContact = nextIsContact;
+            ctx.changed = true;
+        }
+
+        const nextFlags = getFlags(ctx.showdownIndex, name);
+        const flagsChanged = !hasOwn(esMap[name], "flags") || stableStringify(esMap[name].flags) !== stableStringify(nextFlags);
+
+        if(flagsChanged && !hasOverride(ctx.overrides, name, "flags"))
+        {
+            esMap[name].flags = nextFlags;
+            ctx.changed = true;
+        }
+    }
+
+    if(await retryNullDisplays(esMap, ctx.overrides))
+    {
+        ctx.changed = true;
+    }
+
+    const schemaRefreshNeeded = Object.keys(esMap).some((name) => needsMoveRefresh(esMap[name], ctx));
+    if(schemaRefreshNeeded)
+    {
+        ctx.changed = true;
+    }
+
+    await syncMachines(ctx);
+}
+
+function validateMachineCache(ctx)
+{
+    if(ctx.machineIndexTouched)
+    {
+        assertValid(ctx.machineIndex, "machines_index.schema.json", MACHINE_CACHE_FILE);
+    }
+}
+
+function writeMachineCache(ctx)
+{
+    if(ctx.machineIndexTouched)
+    {
+        writeJSON(ctx.machineCachePath, ctx.machineIndex);
+    }
+}
+
+module.exports = {
+    dir: "moves",
+    label: "Moves",
+    resource: "move",
+    manifestKey: "moves_url",
+    filePrefix: "move_es_map",
+    schema: "move_es_map.schema.json",
+    manifestSchema: "moves_manifest.schema.json",
+    schemaVersion: 5,
+    missingSpanishReport: true,
+    requiredFields: ["id", "type", "damage_class"],
+    poolEnv: "MOVES_POOL",
+    envPrefix: "MOVES",
+    sortById: true,
+    prepare: prepareMoves,
+    needsRefresh: needsMoveRefresh,
+    buildRecord: (moveJson, name, ctx) => buildMoveRecord(moveJson, ctx.showdownIndex, ctx.machineIndex, getNameLanguages(ctx.def)),
+    onNoop: (ctx) =>
+    {
+        if(ctx.machineIndexTouched)
+        {
+            validateMachineCache(ctx);
+            assertValid(ctx.manifest, "moves_manifest.schema.json", "public/moves/manifest.json");
+            writeMachineCache(ctx);
+            writeJSON(ctx.manifestPath, ctx.manifest);
+        }
+    },
+    extraFiles: [{ file: MACHINE_CACHE_FILE, schema: "machines_index.schema.json", variantsKey: "machines_variants" }],
+    validate: validateMachineCache,
+    beforeManifest: writeMachineCache,
+    SHOWDOWN_MOVES_URL,
+    pickSpanishName,
+    pickNumberField,
+    isMoveV2Record,
+    isMoveV4Record,
+    needsMoveRefresh,
+    normalizeShowdownKey,
+    buildShowdownIndex,
+    getShowdownMove,
+    getIsContact,
+    getFlags,
+    toSpanishMachineName,
+    upsertMachineIndexEntry,
+    buildMachinesByGroup,
+    normalizeText,
+    pickEffect,
+    pickFlavorText,
+    buildMoveMeta,
+    buildStatChanges,
+    buildMoveRecord,
+    mergeMachineIndexes,
+    applyMachineIndexDeltaToMoves,
+};
@@ -0,0 +1,186 @@
+"use strict";
+
+/*
+  Dataset Pokemon map: GET /pokemon/{name} para id, types, species, stats base, abilities, height, weight y sprites.
+  Los nombres multi-idioma y display (español con fallback EN / slug) salen de /pokemon-species/{species}
+  (cacheado por corrida: las formas comparten especie). species es la clave de la especie base.
+  Las formas no default (megas, regionales, Gigamax...) piden además /pokemon-form/{form}: form es su slug
+  ("mega-x", "alola", "gmax") y form_label su nombre en español con fallback EN ("Forma de Alola").
+
+  Unidades de PokeAPI: height en decímetros, weight en hectogramos.
+  abilities: [{ slug, hidden, slot }] por slot; el slug es la clave de public/abilities.
+*/
+
+const { API, getJson } = require("../lib/http");
+const { hasOwn } = require("../lib/io");
+const { getNameLanguages, pickNames, pickDisplay, needsNamesRefresh } = require("../lib/names");
+
+// Campos agregados en schemaVersion 3 y 4: un registro sin alguno se vuelve a pedir (migración)
+const V4_FIELDS = ["display", "display_lang", "species", "form", "form_label", "stats", "abilities", "height", "weight", "sprites"];
+
+function pickIntField(obj, field)
+{
+    return obj && Number.isInteger(obj[field]) ? obj[field] : null;
+}
+
+function pickUrl(value)
+{
+    return typeof value === "string" && value ? value : null;
+}
+
+// { hp: 45, attack: 49, ... } con los slugs de stat de PokeAPI
+function buildStats(p)
+{
+    const out = {};
+
+    for(const s of (p && Array.isArray(p.stats) ? p.stats : []))
+    {
+        if(s && s.stat && s.stat.name && Number.isInteger(s.base_stat))
+        {
+            out[s.stat.name] = s.base_stat;
+        }
+    }
+
+    return out;
+}
+
+function buildAbilities(p)
+{
+    return (p && Array.isArray(p.abilities) ? p.abilities : [])
+        .filter(a => a && a.ability && a.ability.name)
+        .map(a => ({
+            slug: a.ability.name,
+            hidden: a.is_hidden === true,
+            slot: Number.isInteger(a.slot) ? a.slot : null,
+        }))
+        .sort((a, b) => (a.slot === null ? Number.MAX_SAFE_INTEGER : a.slot) - (b.slot === null ? Number.MAX_SAFE_INTEGER : b.slot));
+}
+
+function buildSprites(p)
+{
+    const sprites = p && p.sprites ? p.sprites : {};
+    const artwork = sprites.other && sprites.other["official-artwork"] ? sprites.other["official-artwork"] : {};
+
+    return {
+        front_default: pickUrl(sprites.front_default),
+        front_shiny: pickUrl(sprites.front_shiny),
+        official_artwork: pickUrl(artwork.front_default),
+    };
+}
+
+function buildPokemonRecord(p)
+{
+    const types = (p && p.types ? p.types : [])
+        .map(t => (t && t.type ? t.type.name : null))
+        .filter(Boolean);
+
+    return {
+        id: (p && p.id) ? p.id : null,
+        types: types,
+        species: p && p.species && p.species.name ? p.species.name : null,
+        stats: buildStats(p),
+        abilities: buildAbilities(p),
+        height: pickIntField(p, "height"),
+        weight: pickIntField(p, "weight"),
+        sprites: buildSprites(p),
+    };
+}
+
+function isPokemonV4Record(record)
+{
+    return !!record && V4_FIELDS.every((field) => hasOwn(record, field));
+}
+
+function needsPokemonRefresh(record, ctx)
+{
+    return !isPokemonV4Record(record) || needsNamesRefresh(record, ctx);
+}
+
+// Forma a pedir en /pokemon-form: la primera de p.forms, salvo que sea la de la especie (forma base, sin etiqueta)
+function pickFormName(p, speciesName)
+{
+    const forms = p && Array.isArray(p.forms) ? p.forms : [];
+    const formName = forms[0] && forms[0].name ? forms[0].name : null;
+
+    return formName && formName !== speciesName ? formName : null;
+}
+
+// Una sola request por especie aunque varias formas la pidan en paralelo
+function getSpecies(ctx, speciesName)
+{
+    if(!ctx.speciesCache)
+    {
+        ctx.speciesCache = new Map();
+    }
+
+    if(!ctx.speciesCache.has(speciesName))
+    {
+        const pending = getJson(`${API}/pokemon-species/${speciesName}`);
+
+        // Si falla, no queda cacheado: el próximo Pokemon de la especie lo reintenta
+        pending.catch(() => ctx.speciesCache.delete(speciesName));
+        ctx.speciesCache.set(speciesName, pending);
+    }
+
+    return ctx.speciesCache.get(speciesName);
+}
+
+// Registro completo: base de /pokemon + display / names de la especie + etiqueta de la forma
+function buildLocalizedRecord(base, species, form, name, languages)
+{
+    const picked = pickDisplay(species, ["es", "en"], base.species || name);
+    const formSlug = form && form.form_name ? form.form_name : null;
+    const label = formSlug ? pickDisplay({ names: form.form_names }, ["es", "en"], null).display : null;
+
+    return {
+        id: base.id,
+        display: picked.display,
+        display_lang: picked.display_lang,
+        types: base.types,
+        species: base.species,
+        form: formSlug,
+        form_label: label,
+        stats: base.stats,
+        abilities: base.abilities,
+        height: base.height,
+        weight: base.weight,
+        sprites: base.sprites,
+        names: pickNames(species, languages),
+    };
+}
+
+async function buildPokemonEntry(p, name, ctx)
+{
+    const base = buildPokemonRecord(p);
+    const species = base.species ? await getSpecies(ctx, base.species) : null;
+    const formName = pickFormName(p, base.species);
+    const form = formName ? await getJson(`${API}/pokemon-form/${formName}`) : null;
+
+    return buildLocalizedRecord(base, species, form, name, getNameLanguages(ctx.def));
+}
+
+module.exports = {
+    dir: "pokemon",
+    label: "Pokemon",
+    resource: "pokemon",
+    manifestKey: "pokemon_url",
+    filePrefix: "pokemon_map",
+    schema: "pokemon_map.schema.json",
+    manifestSchema: "pokemon_manifest.schema.json",
+    schemaVersion: 4,
+    missingSpanishReport: true,
+    requiredFields: ["id", "display", "types"],
+    poolEnv: "POKEMON_POOL",
+    envPrefix: "POKEMON",
+    buildRecord: buildPokemonEntry,
+    needsRefresh: needsPokemonRefresh,
+    buildStats,
+    buildAbilities,
+    buildSprites,
+    buildPokemonRecord,
+    isPokemonV4Record,
+    needsPokemonRefresh,
+    pickFormName,
+    buildLocalizedRecord,
+    buildPokemonEntry,
+};
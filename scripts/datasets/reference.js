@@ -0,0 +1,192 @@
+"use strict";
+
+/*
+  Bundle de datos de referencia: enums chicos que usan los otros maps, con nombre en español.
+  Un solo archivo versionado con una sección por recurso de PokeAPI:
+
+  {
+    "nature":            { "adamant": { id, display, display_lang, names, increased_stat, decreased_stat } },
+    "stat":              { "attack":  { id, display, display_lang, names, is_battle_only } },
+    "move-damage-class": { "physical": { id, display, display_lang, names } },
+    "move-target":       { "selected-pokemon": { id, display, display_lang, names } }
+  }
+
+  No hay un listado único para comparar counts: cada corrida pide todo (son pocas decenas de requests)
+  y solo rota si el bundle cambió. Usa openDataset / commitDataset de scripts/lib/updater.js, así que
+  hereda manifest, integridad, changelog, patches, variantes, retención y el manifest raíz.
+  Un bundle incompleto nunca se publica: si falla cualquier request, se aborta.
+*/
+
+const { todayISO } = require("../lib/io");
+const { API, getJson, withPool } = require("../lib/http");
+const { stableStringify } = require("../lib/diff");
+const { getGuardConfig } = require("../lib/guards");
+const { getNameLanguages, pickNames, pickDisplay } = require("../lib/names");
+const { sortMapById, openDataset, commitDataset, finishNoop } = require("../lib/updater");
+
+function buildReferenceRecord(json, name, languages)
+{
+    const picked = pickDisplay(json, ["es", "en"], (json && json.name) || name);
+
+    return {
+        id: (json && json.id) ? json.id : null,
+        display: picked.display,
+        display_lang: picked.display_lang,
+        names: pickNames(json, languages),
+    };
+}
+
+// increased_stat / decreased_stat: claves de la sección "stat" (null en naturalezas neutras)
+function buildNatureRecord(json, name, languages)
+{
+    return Object.assign(buildReferenceRecord(json, name, languages), {
+        increased_stat: json && json.increased_stat && json.increased_stat.name ? json.increased_stat.name : null,
+        decreased_stat: json && json.decreased_stat && json.decreased_stat.name ? json.decreased_stat.name : null,
+    });
+}
+
+function buildStatRecord(json, name, languages)
+{
+    return Object.assign(buildReferenceRecord(json, name, languages), {
+        is_battle_only: !!(json && json.is_battle_only === true),
+    });
+}
+
+const SECTIONS = [
+    { resource: "nature", build: buildNatureRecord },
+    { resource: "stat", build: buildStatRecord },
+    { resource: "move-damage-class", build: buildReferenceRecord },
+    { resource: "move-target", build: buildReferenceRecord },
+];
+
+async function fetchSection(section, languages, poolSize)
+{
+    const list = await getJson(`${API}/${section.resource}?limit=100000`);
+    const names = (list && list.results ? list.results : []).map((r) => (r && r.name ? r.name : null)).filter(Boolean);
+
+    if(!names.length)
+    {
+        throw new Error(`/${section.resource} no devolvió entradas`);
+    }
+
+    const out = {};
+    const failed = [];
+
+    await withPool(names, poolSize, async (name) =>
+    {
+        try
+        {
+            out[name] = section.build(await getJson(`${API}/${section.resource}/${name}`), name, languages);
+
+        }catch(e)
+        {
+            failed.push(name);
+            console.warn("[WARN] No pude pedir:", `${section.resource}/${name}`, e && e.message ? e.message : e);
+        }
+    });
+
+    if(failed.length)
+    {
+        throw new Error(`/${section.resource}: fallaron ${failed.length} de ${names.length} (${failed.sort().join(", ")}), no se publica un bundle incompleto`);
+    }
+
+    return sortMapById(out);
+}
+
+// Naturalezas que apuntan a stats que no están en el bundle
+function findUnknownStats(bundle)
+{
+    const stats = bundle.stat || {};
+    const out = [];
+
+    for(const [name, nature] of Object.entries(bundle.nature || {}))
+    {
+        for(const field of ["increased_stat", "decreased_stat"])
+        {
+            if(nature[field] !== null && !Object.prototype.hasOwnProperty.call(stats, nature[field]))
+            {
+                out.push(`nature.${name}.${field}=${nature[field]}`);
+            }
+        }
+    }
+
+    return out;
+}
+
+// Entradas del bundle publicado que ya no vienen (mismo criterio que GUARD_ALLOW_REMOVALS)
+function findRemovedEntries(prev, next)
+{
+    const out = [];
+
+    for(const [section, entries] of Object.entries(prev || {}))
+    {
+        for(const name of Object.keys(entries || {}))
+        {
+            if(!next[section] || !Object.prototype.hasOwnProperty.call(next[section], name))
+            {
+                out.push(`${section}.${name}`);
+            }
+        }
+    }
+
+    return out;
+}
+
+async function runReferenceUpdater(def, options)
+{
+    const ctx = openDataset(def, options);
+    ctx.today = todayISO();
+
+    const languages = getNameLanguages(def);
+    const POOL = Number(process.env[def.poolEnv] || 5);
+    const bundle = {};
+
+    for(const section of SECTIONS)
+    {
+        bundle[section.resource] = await fetchSection(section, languages, POOL);
+        console.log(`[INFO] ${section.resource}:`, Object.keys(bundle[section.resource]).length);
+    }
+
+    if(stableStringify(bundle) === stableStringify(ctx.map))
+    {
+        console.log(`[OK] ${def.label} sin cambios. Nada que actualizar.`);
+        finishNoop(ctx);
+        return null;
+    }
+
+    const unknownStats = findUnknownStats(bundle);
+    if(unknownStats.length)
+    {
+        throw new Error(`${def.label}: naturalezas con stats desconocidos: ${unknownStats.join(", ")}`);
+    }
+
+    const guards = getGuardConfig(def);
+    const removed = findRemovedEntries(ctx.map, bundle);
+    if(removed.length && !guards.allowRemovals && !guards.force)
+    {
+        throw new Error(`Guardas de ${def.label} no cumplidas, no se rota el manifest: se eliminarían ${removed.length} entradas: ${removed.join(", ")}`);
+    }
+
+    return commitDataset(ctx, bundle);
+}
+
+module.exports = {
+    dir: "reference",
+    label: "Reference",
+    manifestKey: "reference_url",
+    filePrefix: "reference_map",
+    schema: "reference_map.schema.json",
+    manifestSchema: "reference_manifest.schema.json",
+    schemaVersion: 1,
+    poolEnv: "REFERENCE_POOL",
+    envPrefix: "REFERENCE",
+    createManifest: true,
+    run: runReferenceUpdater,
+    SECTIONS,
+    buildReferenceRecord,
+    buildNatureRecord,
+    buildStatRecord,
+    findUnknownStats,
+    findRemovedEntries,
+    runReferenceUpdater,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+/*
+  Dataset Type map: GET /type/{name} para id + nombre ES + names multi-idioma + tabla de efectividad.
+
+  damage_relations: tipos (slugs, ordenados) por relación, con los nombres de PokeAPI
+  (double_damage_to = "este tipo pega x2 a ...", no_damage_from = "no recibe daño de ...", etc.).
+  past_damage_relations: [{ generation, damage_relations }] por generación, más vieja primero;
+  cada entrada es la tabla completa que valía HASTA esa generación inclusive (ej. steel antes de generation-vi).
+*/
+
+const { getNameLanguages, pickNames, pickDisplay, needsNamesRefresh } = require("../lib/names");
+
+const DAMAGE_RELATIONS = [
+    "double_damage_from",
+    "double_damage_to",
+    "half_damage_from",
+    "half_damage_to",
+    "no_damage_from",
+    "no_damage_to",
+];
+
+function buildDamageRelations(relations)
+{
+    const out = {};
+
+    for(const rel of DAMAGE_RELATIONS)
+    {
+        const list = relations && Array.isArray(relations[rel]) ? relations[rel] : [];
+        out[rel] = Array.from(new Set(list.map((t) => (t && t.name ? t.name : null)).filter(Boolean))).sort();
+    }
+
+    return out;
+}
+
+// "generation-iv" -> 4 (para ordenar); desconocido al final
+function generationNumber(name)
+{
+    const roman = String(name || "").split("-").pop().toLowerCase();
+    const values = { i: 1, v: 5, x: 10 };
+    let n = 0;
+
+    for(let i = 0; i < roman.length; i++)
+    {
+        const cur = values[roman[i]];
+        const next = values[roman[i + 1]];
+
+        if(!cur)
+        {
+            return Number.MAX_SAFE_INTEGER;
+        }
+
+        n += next && next > cur ? -cur : cur;
+    }
+
+    return n || Number.MAX_SAFE_INTEGER;
+}
+
+function buildPastDamageRelations(t)
+{
+    return (t && Array.isArray(t.past_damage_relations) ? t.past_damage_relations : [])
+        .filter((p) => p && p.generation && p.generation.name)
+        .map((p) => ({
+            generation: p.generation.name,
+            damage_relations: buildDamageRelations(p.damage_relations),
+        }))
+        .sort((a, b) => generationNumber(a.generation) - generationNumber(b.generation));
+}
+
+function buildTypeRecord(t, name, ctx)
+{
+    const picked = pickDisplay(t, ["es", "en"], (t && t.name) || name);
+
+    return {
+        id: (t && t.id) ? t.id : null,
+        display: picked.display,
+        display_lang: picked.display_lang,
+        names: pickNames(t, getNameLanguages(ctx && ctx.def)),
+        damage_relations: buildDamageRelations(t && t.damage_relations),
+        past_damage_relations: buildPastDamageRelations(t),
+    };
+}
+
+module.exports = {
+    dir: "types",
+    label: "Types",
+    resource: "type",
+    manifestKey: "types_url",
+    filePrefix: "type_map",
+    schema: "type_map.schema.json",
+    manifestSchema: "types_manifest.schema.json",
+    schemaVersion: 1,
+    missingSpanishReport: true,
+    requiredFields: ["id", "display"],
+    poolEnv: "TYPES_POOL",
+    envPrefix: "TYPES",
+    createManifest: true,
+    sortById: true,
+    buildRecord: buildTypeRecord,
+    needsRefresh: needsNamesRefresh,
+    DAMAGE_RELATIONS,
+    buildDamageRelations,
+    generationNumber,
+    buildPastDamageRelations,
+    buildTypeRecord,
+};
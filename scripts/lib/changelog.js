@@ -0,0 +1,111 @@
+"use strict";
+
+/*
+  Changelog por dataset: public/<dir>/changelog.json con una entrada por cada map publicado
+  (más nueva primero), para que la app muestre "movimientos nuevos este mes" y para revisar cambios rápido.
+
+  {
+    "entries": [
+      {
+        "version": "YYYY-MM-DD",
+        "from": "<map anterior>" | null,
+        "to": "<map nuevo>",
+        "summary": { "added": 1, "removed": 0, "modified": 2 },
+        "added": ["clave", ...],
+        "removed": ["clave", ...],
+        "modified": { "clave": { "campo": { "before": ..., "after": ... } } }
+      }
+    ]
+  }
+
+  Con changelogNestedFields en el dataset, esos campos van por subclave ("groups.<version-group>").
+
+  Se conservan las últimas CHANGELOG_KEEP entradas (default 12; global o con prefijo, ej. MOVES_CHANGELOG_KEEP).
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, safeObj } = require("./io");
+const { datasetEnv } = require("./env");
+const { assertValid } = require("./schema");
+
+const CHANGELOG_FILE = "changelog.json";
+const CHANGELOG_SCHEMA = "changelog.schema.json";
+
+function getChangelogConfig(def)
+{
+    const keep = Number(datasetEnv(def, "CHANGELOG_KEEP"));
+
+    return {
+        keep: isFinite(keep) && keep >= 1 ? Math.floor(keep) : 12,
+    };
+}
+
+// diff: resultado de diffMaps(map anterior, map nuevo)
+function buildChangelogEntry(diff, meta)
+{
+    return {
+        version: meta.version,
+        from: meta.from || null,
+        to: meta.to,
+        summary: {
+            added: diff.added.length,
+            removed: diff.removed.length,
+            modified: Object.keys(diff.modified).length,
+        },
+        added: diff.added,
+        removed: diff.removed,
+        modified: diff.modified,
+    };
+}
+
+function loadChangelog(dir)
+{
+    const filePath = join(dir, CHANGELOG_FILE);
+
+    if(!existsSync(filePath))
+    {
+        return { entries: [] };
+    }
+
+    try
+    {
+        const data = safeObj(readJSON(filePath));
+        return { entries: Array.isArray(data.entries) ? data.entries : [] };
+
+    }catch(e)
+    {
+        console.warn(`[WARN] ${CHANGELOG_FILE} ilegible, se arranca uno nuevo:`, e && e.message ? e.message : e);
+        return { entries: [] };
+    }
+}
+
+// Arma y valida el changelog con la entrada nueva, sin escribir (se llama antes de tocar nada publicado)
+function planChangelog(def, dir, entry, config)
+{
+    const changelog = loadChangelog(dir);
+    changelog.entries = [entry].concat(changelog.entries).slice(0, config.keep);
+
+    assertValid(changelog, CHANGELOG_SCHEMA, `public/${def.dir}/${CHANGELOG_FILE}`);
+    return changelog;
+}
+
+// Se escribe después del manifest: una entrada nunca nombra un map que no llegó a publicarse
+function writeChangelog(dir, changelog)
+{
+    const entry = changelog.entries[0];
+    writeJSON(join(dir, CHANGELOG_FILE), changelog);
+
+    console.log(`[INFO] Changelog: +${entry.summary.added} -${entry.summary.removed} ~${entry.summary.modified}`);
+}
+
+module.exports = {
+    CHANGELOG_FILE,
+    CHANGELOG_SCHEMA,
+    getChangelogConfig,
+    buildChangelogEntry,
+    loadChangelog,
+    planChangelog,
+    writeChangelog,
+};
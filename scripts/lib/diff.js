@@ -0,0 +1,113 @@
+"use strict";
+
+/*
+  Comparación de registros y de maps completos (independiente del orden de las claves).
+*/
+
+function stableStringify(value)
+{
+    if(Array.isArray(value))
+    {
+        return "[" + value.map(stableStringify).join(",") + "]";
+    }
+
+    if(value && typeof value === "object")
+    {
+        const keys = Object.keys(value).sort();
+        return "{" + keys.map((k) => JSON.stringify(k) + ":" + stableStringify(value[k])).join(",") + "}";
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function isSameValue(a, b)
+{
+    return stableStringify(a) === stableStringify(b);
+}
+
+// Campos de primer nivel que cambiaron entre dos versiones de un registro
+function changedFields(prev, next)
+{
+    const a = prev && typeof prev === "object" ? prev : {};
+    const b = next && typeof next === "object" ? next : {};
+    const fields = new Set(Object.keys(a).concat(Object.keys(b)));
+    const out = [];
+
+    for(const field of fields)
+    {
+        if(!isSameValue(a[field], b[field]))
+        {
+            out.push(field);
+        }
+    }
+
+    return out;
+}
+
+function fieldValue(record, field)
+{
+    return record && typeof record[field] !== "undefined" ? record[field] : null;
+}
+
+// Diff entre dos maps: claves agregadas, eliminadas y modificadas con before/after por campo.
+// nestedFields: campos objeto que se comparan un nivel más abajo ("campo.subclave"), para no guardar
+// el campo entero dos veces cuando cambia una parte (ej. groups de learnsets, por version group).
+function diffMaps(prevMap, nextMap, nestedFields)
+{
+    const prev = prevMap && typeof prevMap === "object" ? prevMap : {};
+    const next = nextMap && typeof nextMap === "object" ? nextMap : {};
+    const nested = new Set(Array.isArray(nestedFields) ? nestedFields : []);
+
+    const added = Object.keys(next).filter((key) => !Object.prototype.hasOwnProperty.call(prev, key)).sort();
+    const removed = Object.keys(prev).filter((key) => !Object.prototype.hasOwnProperty.call(next, key)).sort();
+    const modified = {};
+
+    for(const key of Object.keys(next).sort())
+    {
+        if(!Object.prototype.hasOwnProperty.call(prev, key))
+        {
+            continue;
+        }
+
+        const fields = changedFields(prev[key], next[key]);
+        if(!fields.length)
+        {
+            continue;
+        }
+
+        const out = {};
+
+        for(const field of fields)
+        {
+            const before = fieldValue(prev[key], field);
+            const after = fieldValue(next[key], field);
+
+            if(nested.has(field) && before && after && typeof before === "object" && typeof after === "object" && !Array.isArray(before) && !Array.isArray(after))
+            {
+                for(const sub of changedFields(before, after))
+                {
+                    out[`${field}.${sub}`] = { before: fieldValue(before, sub), after: fieldValue(after, sub) };
+                }
+                continue;
+            }
+
+            out[field] = { before, after };
+        }
+
+        modified[key] = {};
+
+        for(const field of Object.keys(out).sort())
+        {
+            modified[key][field] = out[field];
+        }
+    }
+
+    return { added, removed, modified };
+}
+
+module.exports = {
+    stableStringify,
+    isSameValue,
+    changedFields,
+    diffMaps,
+};
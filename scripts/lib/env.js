@@ -0,0 +1,16 @@
+"use strict";
+
+/*
+  Lectura de variables de entorno por dataset: <envPrefix>_<NOMBRE> pisa a <NOMBRE>.
+  Ej. con envPrefix "POKEMON": POKEMON_REFRESH_MODE tiene prioridad sobre REFRESH_MODE.
+*/
+
+function datasetEnv(def, name)
+{
+    const scoped = def && def.envPrefix ? process.env[`${def.envPrefix}_${name}`] : undefined;
+    return scoped !== undefined && scoped !== "" ? scoped : process.env[name];
+}
+
+module.exports = {
+    datasetEnv,
+};
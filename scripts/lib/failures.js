@@ -0,0 +1,145 @@
+"use strict";
+
+/*
+  Ledger de fallos por dataset: public/<dir>/failures.json (al lado del manifest).
+
+  {
+    "pikachu": {
+      "attempts": 2,
+      "error": "HTTP 503 GET https://pokeapi.co/api/v2/pokemon/pikachu",
+      "first_failed_at": "2026-08-01",
+      "last_failed_at": "2026-09-01"
+    }
+  }
+
+  Cada entrada que no se pudo agregar/refrescar queda anotada y se reintenta
+  en la próxima corrida antes del chequeo de count. Al salir bien se borra.
+  También se borra si el reintento responde un 4xx no reintentable (ej. 404: PokeAPI la eliminó
+  o renombró) o si ya no aparece en el índice completo, para no reintentarla para siempre.
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, todayISO, safeObj, hasOwn } = require("./io");
+const { isRetryableStatus } = require("./http");
+
+const FAILURES_FILE = "failures.json";
+
+function loadFailures(dir)
+{
+    const path = join(dir, FAILURES_FILE);
+    let entries = {};
+
+    if(existsSync(path))
+    {
+        try
+        {
+            entries = safeObj(readJSON(path));
+
+        }catch(e)
+        {
+            console.warn("[WARN] failures.json ilegible, se arranca vacío:", e && e.message ? e.message : e);
+        }
+    }
+
+    return { path, entries, dirty: false };
+}
+
+function recordFailure(ledger, name, err)
+{
+    const prev = hasOwn(ledger.entries, name) ? safeObj(ledger.entries[name]) : null;
+    const today = todayISO();
+
+    ledger.entries[name] = {
+        attempts: (prev && typeof prev.attempts === "number" ? prev.attempts : 0) + 1,
+        error: err && err.message ? String(err.message) : String(err),
+        first_failed_at: prev && prev.first_failed_at ? prev.first_failed_at : today,
+        last_failed_at: today,
+    };
+
+    ledger.dirty = true;
+}
+
+function clearFailure(ledger, name)
+{
+    if(hasOwn(ledger.entries, name))
+    {
+        delete ledger.entries[name];
+        ledger.dirty = true;
+    }
+}
+
+// 4xx que no se arregla reintentando (404 / 410 / 400...): el recurso ya no existe con ese nombre
+function isGoneError(err)
+{
+    const status = err && typeof err.status === "number" ? err.status : null;
+    return status !== null && status >= 400 && status < 500 && !isRetryableStatus(status);
+}
+
+// Borra del ledger los nombres que no están en el índice actual. Devuelve los borrados.
+function pruneFailures(ledger, validNames)
+{
+    const valid = validNames instanceof Set ? validNames : new Set(validNames);
+    const removed = [];
+
+    for(const name of failureNames(ledger))
+    {
+        if(!valid.has(name))
+        {
+            clearFailure(ledger, name);
+            removed.push(name);
+        }
+    }
+
+    return removed;
+}
+
+function failureNames(ledger)
+{
+    return Object.keys(ledger.entries).sort();
+}
+
+function saveFailures(ledger)
+{
+    if(!ledger.dirty)
+    {
+        return;
+    }
+
+    const ordered = {};
+    for(const name of failureNames(ledger))
+    {
+        ordered[name] = ledger.entries[name];
+    }
+
+    writeJSON(ledger.path, ordered);
+    ledger.dirty = false;
+}
+
+function logFailuresSummary(ledger)
+{
+    const names = failureNames(ledger);
+
+    if(!names.length)
+    {
+        console.log(`[OK] Sin pendientes en ${FAILURES_FILE}.`);
+        return;
+    }
+
+    const preview = names.slice(0, 20).join(", ");
+    const rest = names.length > 20 ? ` (+${names.length - 20} más)` : "";
+    console.warn(`[WARN] Pendientes en ${FAILURES_FILE}:`, names.length, "|", preview + rest);
+}
+
+module.exports = {
+    FAILURES_FILE,
+    loadFailures,
+    recordFailure,
+    clearFailure,
+    isGoneError,
+    pruneFailures,
+    failureNames,
+    saveFailures,
+    logFailuresSummary,
+};
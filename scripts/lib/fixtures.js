@@ -0,0 +1,101 @@
+"use strict";
+
+/*
+  Modo fixtures: reemplaza fetch por respuestas JSON grabadas en disco, para correr los updaters sin red.
+
+  - FIXTURES_DIR=<carpeta>   activa el modo (si no está, se usa el fetch real)
+  - FIXTURES_MODE=replay     (default) sirve solo lo grabado; lo que falte responde 404
+  - FIXTURES_MODE=record     hace el fetch real y guarda cada respuesta OK en la carpeta
+
+  Cada URL se guarda en <FIXTURES_DIR>/<host>/<path>[__<query>].json, por ejemplo:
+    https://pokeapi.co/api/v2/pokemon?limit=1       -> pokeapi.co/api/v2/pokemon__limit=1.json
+    https://pokeapi.co/api/v2/machine/12/           -> pokeapi.co/api/v2/machine/12.json
+    https://play.pokemonshowdown.com/data/moves.json -> play.pokemonshowdown.com/data/moves.json
+*/
+
+const { existsSync, mkdirSync, readFileSync, writeFileSync } = require("fs");
+const { join, dirname } = require("path");
+
+function urlToFixturePath(fixturesDir, url)
+{
+    const u = new URL(url);
+    const segments = u.pathname.split("/").filter(Boolean).map((s) => decodeURIComponent(s).replace(/[^\w.-]/g, "_"));
+
+    let last = segments.length ? segments.pop() : "index";
+    if(last.endsWith(".json"))
+    {
+        last = last.slice(0, -5);
+    }
+
+    const query = u.search ? "__" + u.search.slice(1).replace(/[^\w=.-]/g, "_") : "";
+
+    return join(fixturesDir, u.host.replace(/:/g, "_"), ...segments, `${last}${query}.json`);
+}
+
+function jsonResponse(status, body)
+{
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Map(),
+        json: async () => body,
+    };
+}
+
+function createFixtureFetch(fixturesDir, mode, realFetch)
+{
+    const recording = mode === "record";
+
+    return async function fixtureFetch(url, init)
+    {
+        const filePath = urlToFixturePath(fixturesDir, String(url));
+
+        if(recording)
+        {
+            const res = await realFetch(url, init);
+
+            if(!res.ok)
+            {
+                return res;
+            }
+
+            const body = await res.json();
+            mkdirSync(dirname(filePath), { recursive: true });
+            writeFileSync(filePath, JSON.stringify(body, null, 2) + "\n", "utf8");
+            return jsonResponse(res.status, body);
+        }
+
+        if(!existsSync(filePath))
+        {
+            return jsonResponse(404, { error: `Fixture faltante: ${filePath}` });
+        }
+
+        return jsonResponse(200, JSON.parse(readFileSync(filePath, "utf8")));
+    };
+}
+
+// Devuelve el fetch a usar según FIXTURES_DIR / FIXTURES_MODE (o null para el fetch global)
+function getFixtureFetchFromEnv()
+{
+    const dir = process.env.FIXTURES_DIR;
+
+    if(!dir)
+    {
+        return null;
+    }
+
+    const mode = String(process.env.FIXTURES_MODE || "replay").toLowerCase();
+
+    if(mode !== "replay" && mode !== "record")
+    {
+        throw new Error(`FIXTURES_MODE inválido: ${mode} (usar replay | record)`);
+    }
+
+    return createFixtureFetch(dir, mode, (url, init) => fetch(url, init));
+}
+
+module.exports = {
+    urlToFixturePath,
+    createFixtureFetch,
+    getFixtureFetchFromEnv,
+};
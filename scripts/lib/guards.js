@@ -0,0 +1,140 @@
+"use strict";
+
+/*
+  Guardas de sanidad antes de rotar el manifest. Si alguna no se cumple, el updater aborta:
+  no se escribe el map nuevo, el manifest sigue apuntando al viejo y el viejo no se borra.
+
+  Configurable por env (global o con prefijo del dataset, ej. POKEMON_GUARD_MAX_FAILURE_RATIO):
+  - GUARD_MAX_FAILURE_RATIO: máximo de fallidos / pedidos en la corrida (default 0.05)
+  - GUARD_MIN_COUNT_RATIO:   mínimo de entradas nuevas / entradas del map previo (default 0.98)
+  - GUARD_ALLOW_REMOVALS:    "1" permite que desaparezcan claves del map previo (default no)
+  - GUARD_FORCE:             "1" saltea todas las guardas (para una corrida manual consciente)
+
+  Además cada dataset declara requiredFields: campos que no pueden quedar en null en ningún registro.
+  Los registros que fallaron en la corrida y quedan como estaban (ej. a mitad de una migración) no se chequean:
+  de esos se encargan failures.json y el ratio de fallidos.
+*/
+
+const { datasetEnv } = require("./env");
+
+function ratioEnv(def, name, fallback)
+{
+    const raw = datasetEnv(def, name);
+    const n = raw === undefined || raw === "" ? NaN : Number(raw);
+    return isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function getGuardConfig(def)
+{
+    return {
+        maxFailureRatio: ratioEnv(def, "GUARD_MAX_FAILURE_RATIO", 0.05),
+        minCountRatio: ratioEnv(def, "GUARD_MIN_COUNT_RATIO", 0.98),
+        allowRemovals: String(datasetEnv(def, "GUARD_ALLOW_REMOVALS") || "") === "1",
+        force: String(datasetEnv(def, "GUARD_FORCE") || "") === "1",
+    };
+}
+
+function findNullRequired(map, requiredFields, skip)
+{
+    const out = [];
+
+    for(const [name, record] of Object.entries(map))
+    {
+        if(skip && skip.has(name))
+        {
+            continue;
+        }
+
+        for(const field of requiredFields)
+        {
+            if(!record || record[field] === null || typeof record[field] === "undefined")
+            {
+                out.push(`${name}.${field}`);
+            }
+        }
+    }
+
+    return out;
+}
+
+function preview(list)
+{
+    return list.slice(0, 10).join(", ") + (list.length > 10 ? ` (+${list.length - 10} más)` : "");
+}
+
+// Devuelve la lista de violaciones (vacía si todo está bien)
+function evaluateGuards(input, config)
+{
+    const violations = [];
+    const attempted = input.stats.added + input.stats.refreshed + input.stats.failed;
+
+    if(attempted > 0)
+    {
+        const ratio = input.stats.failed / attempted;
+
+        if(ratio > config.maxFailureRatio)
+        {
+            violations.push(`fallidos ${input.stats.failed}/${attempted} (${ratio.toFixed(3)}) > GUARD_MAX_FAILURE_RATIO ${config.maxFailureRatio}`);
+        }
+    }
+
+    const nextCount = Object.keys(input.map).length;
+    const prevCount = input.previousKeys.length;
+
+    if(prevCount > 0 && nextCount < prevCount * config.minCountRatio)
+    {
+        violations.push(`entradas ${nextCount} < ${prevCount} * GUARD_MIN_COUNT_RATIO ${config.minCountRatio}`);
+    }
+
+    if(!config.allowRemovals)
+    {
+        const removed = input.previousKeys.filter((name) => !Object.prototype.hasOwnProperty.call(input.map, name));
+
+        if(removed.length)
+        {
+            violations.push(`se eliminarían ${removed.length} entradas: ${preview(removed)}`);
+        }
+    }
+
+    const nulls = findNullRequired(input.map, input.requiredFields || [], new Set(input.failedKeys || []));
+
+    if(nulls.length)
+    {
+        violations.push(`campos requeridos en null (${nulls.length}): ${preview(nulls)}`);
+    }
+
+    return violations;
+}
+
+function assertGuards(ctx, map, stats)
+{
+    const def = ctx.def;
+    const config = getGuardConfig(def);
+
+    const violations = evaluateGuards({
+        map,
+        stats,
+        previousKeys: ctx.previousKeys,
+        requiredFields: def.requiredFields,
+        failedKeys: ctx.failedKeys ? Array.from(ctx.failedKeys) : [],
+    }, config);
+
+    if(!violations.length)
+    {
+        return;
+    }
+
+    if(config.force)
+    {
+        console.warn("[WARN] GUARD_FORCE=1: se ignoran guardas:\n  " + violations.join("\n  "));
+        return;
+    }
+
+    throw new Error(`Guardas de ${def.label} no cumplidas, no se rota el manifest (se conserva ${ctx.oldFileName || "el estado actual"}):\n  ${violations.join("\n  ")}`);
+}
+
+module.exports = {
+    getGuardConfig,
+    evaluateGuards,
+    assertGuards,
+};
@@ -0,0 +1,214 @@
+"use strict";
+
+/*
+  Capa de red compartida: GET JSON contra PokeAPI / Showdown y pool de concurrencia.
+
+  getJson reintenta con backoff exponencial + jitter ante errores de red, timeouts, 429 y 5xx.
+  Si la respuesta trae Retry-After (segundos o fecha HTTP) se respeta en lugar del backoff.
+  Los demás 4xx (ej. 404) no se reintentan.
+
+  Configurable por env (junto a POKEMON_POOL / MOVES_POOL / etc.):
+  - HTTP_RETRIES:        reintentos después del primer intento (default 4)
+  - HTTP_TIMEOUT_MS:     timeout por request con AbortController (default 30000)
+  - HTTP_BACKOFF_MS:     espera base del backoff (default 500)
+  - HTTP_BACKOFF_MAX_MS: tope de espera entre intentos, incluido Retry-After (default 30000)
+  - POKEAPI_BASE_URL:    base de PokeAPI (default https://pokeapi.co/api/v2), ej. un mirror local
+
+  Para correr sin red: FIXTURES_DIR / FIXTURES_MODE (ver scripts/lib/fixtures.js) o setFetch(fn) desde tests.
+*/
+
+const { getFixtureFetchFromEnv } = require("./fixtures");
+
+const API = String(process.env.POKEAPI_BASE_URL || "https://pokeapi.co/api/v2").replace(/\/+$/, "");
+
+let fetchImpl = null;
+let envFetchResolved = false;
+let envFetch = null;
+
+// Reemplaza el fetch usado por getJson (null vuelve al de FIXTURES_DIR o al global)
+function setFetch(fn)
+{
+    fetchImpl = typeof fn === "function" ? fn : null;
+}
+
+function resolveFetch()
+{
+    if(fetchImpl)
+    {
+        return fetchImpl;
+    }
+
+    if(!envFetchResolved)
+    {
+        envFetch = getFixtureFetchFromEnv();
+        envFetchResolved = true;
+    }
+
+    return envFetch || fetch;
+}
+
+function envNumber(name, fallback)
+{
+    const raw = process.env[name];
+    const n = raw === undefined || raw === "" ? NaN : Number(raw);
+    return isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function getHttpConfig()
+{
+    return {
+        retries: envNumber("HTTP_RETRIES", 4),
+        timeoutMs: envNumber("HTTP_TIMEOUT_MS", 30000),
+        backoffMs: envNumber("HTTP_BACKOFF_MS", 500),
+        backoffMaxMs: envNumber("HTTP_BACKOFF_MAX_MS", 30000),
+    };
+}
+
+function getCountFromListResponse(listJson)
+{
+    const c = listJson && typeof listJson.count === "number" ? listJson.count : null;
+    return c !== null && isFinite(c) ? c : null;
+}
+
+function sleep(ms)
+{
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status)
+{
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// Retry-After: "120" (segundos) o "Wed, 21 Oct 2015 07:28:00 GMT". Devuelve ms o null.
+function parseRetryAfter(value, nowMs)
+{
+    if(value === null || typeof value === "undefined" || value === "")
+    {
+        return null;
+    }
+
+    const str = String(value).trim();
+
+    if(/^\d+(\.\d+)?$/.test(str))
+    {
+        return Math.round(Number(str) * 1000);
+    }
+
+    const at = Date.parse(str);
+    if(isNaN(at))
+    {
+        return null;
+    }
+
+    return Math.max(0, at - (typeof nowMs === "number" ? nowMs : Date.now()));
+}
+
+// Backoff exponencial con "full jitter": random entre 0 y min(max, base * 2^intento)
+function computeBackoffMs(attempt, config)
+{
+    const ceiling = Math.min(config.backoffMaxMs, config.backoffMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+}
+
+async function fetchJsonOnce(url, timeoutMs)
+{
+    const controller = new AbortController();
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    try
+    {
+        const doFetch = resolveFetch();
+        const res = await doFetch(url, {
+            headers: { accept: "application/json" },
+            signal: controller.signal
+        });
+
+        if(!res.ok)
+        {
+            const err = new Error(`HTTP ${res.status} GET ${url}`);
+            err.status = res.status;
+            err.retryAfterMs = parseRetryAfter(res.headers && res.headers.get ? res.headers.get("retry-after") : null);
+            throw err;
+        }
+
+        return await res.json();
+
+    }catch(e)
+    {
+        if(e && e.name === "AbortError")
+        {
+            const err = new Error(`Timeout ${timeoutMs}ms GET ${url}`);
+            err.timeout = true;
+            throw err;
+        }
+
+        throw e;
+
+    }finally
+    {
+        if(timer)
+        {
+            clearTimeout(timer);
+        }
+    }
+}
+
+async function getJson(url)
+{
+    const config = getHttpConfig();
+
+    for(let attempt = 0; ; attempt++)
+    {
+        try
+        {
+            return await fetchJsonOnce(url, config.timeoutMs);
+
+        }catch(e)
+        {
+            const status = e && typeof e.status === "number" ? e.status : null;
+            const retryable = status === null || isRetryableStatus(status);
+
+            if(!retryable || attempt >= config.retries)
+            {
+                throw e;
+            }
+
+            const waitMs = e.retryAfterMs !== null && typeof e.retryAfterMs === "number"
+                ? Math.min(config.backoffMaxMs, e.retryAfterMs)
+                : computeBackoffMs(attempt, config);
+
+            console.warn(`[WARN] Reintento ${attempt + 1}/${config.retries} en ${waitMs}ms:`, e && e.message ? e.message : e);
+            await sleep(waitMs);
+        }
+    }
+}
+
+async function withPool(items, poolSize, workerFn)
+{
+    let p = 0;
+
+    async function worker()
+    {
+        while(p < items.length)
+        {
+            const idx = p++;
+            await workerFn(items[idx], idx);
+        }
+    }
+
+    const n = Math.min(poolSize, items.length);
+    await Promise.all(Array.from({ length: n }, worker));
+}
+
+module.exports = {
+    API,
+    setFetch,
+    getHttpConfig,
+    getCountFromListResponse,
+    parseRetryAfter,
+    computeBackoffMs,
+    isRetryableStatus,
+    getJson,
+    withPool,
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+/*
+  Integridad de los archivos publicados: sha256, tamaño en bytes y cantidad de entradas.
+
+  Los maps se nombran <filePrefix>.YYYY-MM-DD.<hash8>.json (hash8 = primeros 8 hex del sha256 del contenido),
+  así dos corridas del mismo día con contenido distinto no pisan el mismo nombre y el cliente / CDN
+  puede cachear cada archivo para siempre. El manifest lleva sha256 + bytes + count del map referenciado.
+*/
+
+const { createHash } = require("crypto");
+const { existsSync, readFileSync } = require("fs");
+const { join } = require("path");
+
+const { writeJSON, safeObj } = require("./io");
+const { fileNameFromUrl } = require("./versions");
+
+const SHORT_HASH_LENGTH = 8;
+
+function sha256Hex(content)
+{
+    return createHash("sha256").update(content).digest("hex");
+}
+
+function contentIntegrity(content, map)
+{
+    return {
+        sha256: sha256Hex(content),
+        bytes: Buffer.byteLength(content, "utf8"),
+        count: Object.keys(safeObj(map)).length,
+    };
+}
+
+function hashedFileName(filePrefix, version, sha256)
+{
+    return `${filePrefix}.${version}.${sha256.slice(0, SHORT_HASH_LENGTH)}.json`;
+}
+
+// Completa / corrige sha256, bytes y count del manifest contra el archivo referenciado (manifests previos al hash)
+function backfillIntegrity(def, dir, manifest, manifestPath)
+{
+    const fileName = fileNameFromUrl(manifest[def.manifestKey]);
+
+    if(!fileName || !existsSync(join(dir, fileName)))
+    {
+        return false;
+    }
+
+    const content = readFileSync(join(dir, fileName), "utf8");
+
+    if(manifest.sha256 === sha256Hex(content) && typeof manifest.bytes === "number" && typeof manifest.count === "number")
+    {
+        return false;
+    }
+
+    Object.assign(manifest, contentIntegrity(content, JSON.parse(content)));
+    writeJSON(manifestPath, manifest);
+    console.log("[INFO] Integridad del manifest completada para:", fileName);
+    return true;
+}
+
+module.exports = {
+    SHORT_HASH_LENGTH,
+    sha256Hex,
+    contentIntegrity,
+    hashedFileName,
+    backfillIntegrity,
+};
@@ -0,0 +1,144 @@
+"use strict";
+
+/*
+  Helpers de archivos y fechas compartidos por todos los updaters.
+*/
+
+const { readFileSync, existsSync, unlinkSync, openSync, writeSync, fsyncSync, closeSync, renameSync } = require("fs");
+
+const TMP_MARKER = ".tmp-";
+
+function readJSON(p)
+{
+    return JSON.parse(readFileSync(p, "utf8"));
+}
+
+// Escritura atómica: temp en la misma carpeta + fsync + rename. Un corte a mitad nunca deja el destino truncado.
+// content: string (utf8) o Buffer.
+function writeFileAtomic(p, content)
+{
+    const tmpPath = `${p}${TMP_MARKER}${process.pid}`;
+    const fd = openSync(tmpPath, "w");
+
+    try
+    {
+        if(typeof content === "string")
+        {
+            writeSync(fd, content, null, "utf8");
+
+        }else
+        {
+            writeSync(fd, content);
+        }
+        fsyncSync(fd);
+
+    }finally
+    {
+        closeSync(fd);
+    }
+
+    try
+    {
+        renameSync(tmpPath, p);
+
+    }catch(e)
+    {
+        safeUnlink(tmpPath);
+        throw e;
+    }
+}
+
+function serializeJSON(obj)
+{
+    return JSON.stringify(obj, null, 2) + "\n";
+}
+
+function writeJSON(p, obj)
+{
+    writeFileAtomic(p, serializeJSON(obj));
+}
+
+// UPDATER_TODAY=YYYY-MM-DD fija la fecha (corridas deterministas con fixtures)
+function todayISO()
+{
+    const fixed = process.env.UPDATER_TODAY;
+    if(fixed && /^\d{4}-\d{2}-\d{2}$/.test(fixed))
+    {
+        return fixed;
+    }
+
+    const d = new Date();
+    const yyyy = d.getUTCFullYear();
+    const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+    const dd = String(d.getUTCDate()).padStart(2, "0");
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+// Timestamp ISO de la corrida. Con UPDATER_TODAY fijo queda en la medianoche UTC de ese día (determinista).
+function nowISO()
+{
+    const fixed = process.env.UPDATER_TODAY;
+    if(fixed && /^\d{4}-\d{2}-\d{2}$/.test(fixed))
+    {
+        return `${fixed}T00:00:00.000Z`;
+    }
+
+    return new Date().toISOString();
+}
+
+function parseISODateUTC(dateStr)
+{
+    if(!dateStr || typeof dateStr !== "string")
+    {
+        return null;
+    }
+
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function daysBetweenUTC(fromDate, toDate)
+{
+    const ms = toDate.getTime() - fromDate.getTime();
+    return Math.floor(ms / 86400000);
+}
+
+function safeUnlink(filePath)
+{
+    try
+    {
+        if(filePath && existsSync(filePath))
+        {
+            unlinkSync(filePath);
+        }
+
+    }catch(e)
+    {
+        console.warn("[WARN] No pude borrar:", filePath, e && e.message ? e.message : e);
+    }
+}
+
+function safeObj(x)
+{
+    return x && typeof x === "object" ? x : {};
+}
+
+function hasOwn(obj, key)
+{
+    return !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+module.exports = {
+    TMP_MARKER,
+    readJSON,
+    writeFileAtomic,
+    serializeJSON,
+    writeJSON,
+    todayISO,
+    nowISO,
+    parseISODateUTC,
+    daysBetweenUTC,
+    safeUnlink,
+    safeObj,
+    hasOwn,
+};
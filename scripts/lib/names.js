@@ -0,0 +1,175 @@
+"use strict";
+
+/*
+  Nombres multi-idioma de los registros: names = { <idioma>: nombre | null } para cada idioma configurado.
+  El campo display (ES con fallback) se mantiene igual por compatibilidad.
+
+  - NAME_LANGUAGES: idiomas a publicar, con los códigos de PokeAPI separados por coma
+    (default es,en,fr,de,it,ja,ko,zh-Hans; global o con prefijo, ej. MOVES_NAME_LANGUAGES)
+
+  Un idioma sin traducción queda en null (así se distingue de "no pedido"). Si cambia la lista,
+  needsNamesRefresh marca los registros para volver a pedirlos.
+
+  Procedencia de display: display_lang dice de dónde salió ("es", "en", "slug" o null si no hay display).
+  Los datasets con missingSpanishReport publican public/<dir>/missing_es.json con las entradas cuyo
+  display no es español, para completarlas a mano.
+*/
+
+const { join } = require("path");
+
+const { writeJSON } = require("./io");
+const { datasetEnv } = require("./env");
+const { assertValid } = require("./schema");
+
+const DEFAULT_NAME_LANGUAGES = ["es", "en", "fr", "de", "it", "ja", "ko", "zh-Hans"];
+const DISPLAY_LANG_SLUG = "slug";
+const MISSING_ES_FILE = "missing_es.json";
+const MISSING_ES_SCHEMA = "missing_es.schema.json";
+
+function getNameLanguages(def)
+{
+    const raw = datasetEnv(def, "NAME_LANGUAGES");
+
+    if(!raw)
+    {
+        return DEFAULT_NAME_LANGUAGES.slice();
+    }
+
+    const out = [];
+
+    for(const lang of String(raw).split(","))
+    {
+        const code = lang.trim();
+        if(code && !out.includes(code))
+        {
+            out.push(code);
+        }
+    }
+
+    return out.length ? out : DEFAULT_NAME_LANGUAGES.slice();
+}
+
+// json.names de PokeAPI ([{ language: { name }, name }]) -> { <idioma>: nombre | null }
+function pickNames(json, languages)
+{
+    const arr = json && Array.isArray(json.names) ? json.names : [];
+    const out = {};
+
+    for(const lang of languages)
+    {
+        out[lang] = null;
+    }
+
+    for(const n of arr)
+    {
+        const lang = n && n.language ? n.language.name : null;
+
+        if(lang && Object.prototype.hasOwnProperty.call(out, lang) && out[lang] === null && n.name)
+        {
+            out[lang] = String(n.name);
+        }
+    }
+
+    return out;
+}
+
+// Primer nombre disponible en el orden de languages; si no hay, el slug. { display, display_lang }
+function pickDisplay(json, languages, slug)
+{
+    const arr = json && Array.isArray(json.names) ? json.names : [];
+
+    for(const lang of languages)
+    {
+        for(const n of arr)
+        {
+            if(n && n.language && n.language.name === lang && n.name)
+            {
+                return { display: String(n.name), display_lang: lang };
+            }
+        }
+    }
+
+    if(slug)
+    {
+        return { display: String(slug), display_lang: DISPLAY_LANG_SLUG };
+    }
+
+    return { display: null, display_lang: null };
+}
+
+function hasNames(record, languages)
+{
+    const names = record && record.names && typeof record.names === "object" ? record.names : null;
+
+    if(!names)
+    {
+        return false;
+    }
+
+    const keys = Object.keys(names);
+    return keys.length === languages.length && languages.every((lang) => Object.prototype.hasOwnProperty.call(names, lang));
+}
+
+// needsRefresh para datasets sin otra migración: falta names o cambió NAME_LANGUAGES
+function needsNamesRefresh(record, ctx)
+{
+    return !hasNames(record, getNameLanguages(ctx && ctx.def));
+}
+
+// Entradas cuyo display no es español (fallback EN / slug / null), con el nombre EN como referencia
+function buildMissingSpanishReport(map)
+{
+    const entries = {};
+
+    for(const key of Object.keys(map).sort())
+    {
+        const record = map[key] || {};
+
+        // Las correcciones manuales (overrides.json) ya están revisadas
+        if(record.display_lang === "es" || record.display_lang === "override")
+        {
+            continue;
+        }
+
+        entries[key] = {
+            display: typeof record.display === "undefined" ? null : record.display,
+            display_lang: typeof record.display_lang === "undefined" ? null : record.display_lang,
+            en: record.names && typeof record.names.en === "string" ? record.names.en : null,
+        };
+    }
+
+    return {
+        count: Object.keys(entries).length,
+        entries,
+    };
+}
+
+// Arma y valida el reporte, sin escribir (se llama antes de tocar nada publicado)
+function planMissingSpanishReport(def, map)
+{
+    const report = buildMissingSpanishReport(map);
+
+    assertValid(report, MISSING_ES_SCHEMA, `public/${def.dir}/${MISSING_ES_FILE}`);
+    return report;
+}
+
+function writeMissingSpanishReport(def, dir, report)
+{
+    writeJSON(join(dir, MISSING_ES_FILE), report);
+    console.log(`[INFO] ${def.label} sin nombre en español:`, report.count, `(ver ${MISSING_ES_FILE})`);
+}
+
+module.exports = {
+    DEFAULT_NAME_LANGUAGES,
+    DISPLAY_LANG_SLUG,
+    MISSING_ES_FILE,
+    MISSING_ES_SCHEMA,
+    getNameLanguages,
+    pickNames,
+    pickDisplay,
+    hasNames,
+    needsNamesRefresh,
+    buildMissingSpanishReport,
+    planMissingSpanishReport,
+    writeMissingSpanishReport,
+};
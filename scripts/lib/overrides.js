@@ -0,0 +1,121 @@
+"use strict";
+
+/*
+  Correcciones manuales por dataset: public/<dir>/overrides.json (versionado en git, opcional).
+
+  {
+    "<clave>": { "<campo>": <valor>, ... }
+  }
+
+  Cada campo reemplaza entero al del registro armado desde PokeAPI (sin merge profundo: "names" va completo).
+  Se aplican sobre el map cargado al arrancar y sobre cada registro recién pedido, así que sobreviven a
+  REFRESH_MODE, migraciones y rebuilds completos. Si se pisa "display" en un dataset con "display_lang",
+  este queda en "override" (salvo que el override lo fije).
+
+  Toda clave de overrides.json tiene que existir en el map publicado: si no, el updater aborta sin rotar.
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, hasOwn } = require("./io");
+const { stableStringify } = require("./diff");
+const { assertValid } = require("./schema");
+
+const OVERRIDES_FILE = "overrides.json";
+const OVERRIDES_SCHEMA = "overrides.schema.json";
+const DISPLAY_LANG_OVERRIDE = "override";
+
+function loadOverrides(def, dir)
+{
+    const p = join(dir, OVERRIDES_FILE);
+
+    if(!existsSync(p))
+    {
+        return {};
+    }
+
+    const overrides = readJSON(p);
+    assertValid(overrides, OVERRIDES_SCHEMA, `public/${def.dir}/${OVERRIDES_FILE}`);
+
+    return overrides;
+}
+
+function hasOverride(overrides, name, field)
+{
+    if(!hasOwn(overrides, name))
+    {
+        return false;
+    }
+
+    return field ? hasOwn(overrides[name], field) : true;
+}
+
+// Devuelve el registro con los campos pisados (no modifica el original). Sin override devuelve el mismo registro.
+function applyOverride(record, override)
+{
+    if(!record || !override)
+    {
+        return record;
+    }
+
+    const out = Object.assign({}, record, JSON.parse(JSON.stringify(override)));
+
+    if(hasOwn(override, "display") && hasOwn(record, "display_lang") && !hasOwn(override, "display_lang"))
+    {
+        out.display_lang = DISPLAY_LANG_OVERRIDE;
+    }
+
+    return out;
+}
+
+// Aplica overrides sobre el map en memoria. Devuelve las claves cuyo registro cambió.
+function applyOverrides(map, overrides)
+{
+    const touched = [];
+
+    for(const name of Object.keys(overrides).sort())
+    {
+        if(!hasOwn(map, name))
+        {
+            continue;
+        }
+
+        const next = applyOverride(map[name], overrides[name]);
+
+        if(stableStringify(next) !== stableStringify(map[name]))
+        {
+            map[name] = next;
+            touched.push(name);
+        }
+    }
+
+    return touched;
+}
+
+function findUnknownOverrideKeys(map, overrides)
+{
+    return Object.keys(overrides).filter((name) => !hasOwn(map, name)).sort();
+}
+
+function assertOverrideKeys(def, map, overrides)
+{
+    const unknown = findUnknownOverrideKeys(map, overrides);
+
+    if(unknown.length)
+    {
+        throw new Error(`public/${def.dir}/${OVERRIDES_FILE}: claves que no existen en ${def.label} (${unknown.length}): ${unknown.join(", ")}`);
+    }
+}
+
+module.exports = {
+    OVERRIDES_FILE,
+    OVERRIDES_SCHEMA,
+    DISPLAY_LANG_OVERRIDE,
+    loadOverrides,
+    hasOverride,
+    applyOverride,
+    applyOverrides,
+    findUnknownOverrideKeys,
+    assertOverrideKeys,
+};
@@ -0,0 +1,222 @@
+"use strict";
+
+/*
+  Patches incrementales: public/<dir>/patches/<filePrefix>.<hash8 origen>.<hash8 destino>.json
+
+  Cada patch lleva a un cliente desde un map anterior directamente al actual (una sola descarga):
+  {
+    "from": { "version": "YYYY-MM-DD", "file": "<map origen>", "sha256": "..." },
+    "to":   { "version": "YYYY-MM-DD", "file": "<map actual>", "sha256": "...", "count": 123 },
+    "upsert": { "clave": <registro completo>, ... },   // agregar o reemplazar
+    "remove": ["clave", ...]                           // borrar (si no está, se ignora)
+  }
+
+  No se usa JSON Merge Patch porque los registros tienen campos en null que el merge interpretaría como borrado.
+  Aplicar: borrar las claves de remove, asignar las de upsert y comparar el total con to.count
+  (to.sha256 es el del archivo publicado; el orden de claves de la app puede no coincidir byte a byte).
+
+  Al rotar, el patch previo->actual se agrega y los patches vigentes (X->previo) se componen a X->actual
+  sin necesidad del map X: alcanza con las claves de su upsert/remove y el diff previo->actual.
+  El manifest lista los patches vigentes en "patches" (más nuevo primero); se conservan PATCH_KEEP
+  orígenes (default 6, 0 desactiva; global o con prefijo, ej. MOVES_PATCH_KEEP). Los archivos de patches/
+  que el manifest no referencia se borran.
+*/
+
+const { existsSync, mkdirSync, readdirSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeFileAtomic, serializeJSON, safeObj, safeUnlink, hasOwn } = require("./io");
+const { datasetEnv } = require("./env");
+const { assertValid } = require("./schema");
+const { sha256Hex, SHORT_HASH_LENGTH } = require("./integrity");
+const { fileNameFromUrl } = require("./versions");
+
+const PATCHES_DIR = "patches";
+const PATCH_SCHEMA = "patch.schema.json";
+
+function getPatchConfig(def)
+{
+    const raw = datasetEnv(def, "PATCH_KEEP");
+    const keep = raw === undefined || raw === "" ? NaN : Number(raw);
+
+    return {
+        keep: isFinite(keep) && keep >= 0 ? Math.floor(keep) : 6,
+    };
+}
+
+function patchFileName(filePrefix, fromSha256, toSha256)
+{
+    return `${filePrefix}.${fromSha256.slice(0, SHORT_HASH_LENGTH)}.${toSha256.slice(0, SHORT_HASH_LENGTH)}.json`;
+}
+
+// Patch desde un origen con claves upsertKeys / removeKeys (respecto del previo) hasta nextMap
+function buildPatch(from, to, nextMap, upsertKeys, removeKeys)
+{
+    const upsert = {};
+    const remove = [];
+
+    for(const key of Object.keys(nextMap))
+    {
+        if(upsertKeys.has(key))
+        {
+            upsert[key] = nextMap[key];
+        }
+    }
+
+    for(const key of Array.from(removeKeys).sort())
+    {
+        if(!hasOwn(nextMap, key))
+        {
+            remove.push(key);
+        }
+    }
+
+    return { from, to, upsert, remove };
+}
+
+function loadPreviousPatch(dir, entry)
+{
+    const fileName = fileNameFromUrl(entry && entry.url);
+    const filePath = fileName ? join(dir, PATCHES_DIR, fileName) : null;
+
+    if(!filePath || !existsSync(filePath))
+    {
+        return null;
+    }
+
+    try
+    {
+        return safeObj(readJSON(filePath));
+
+    }catch(e)
+    {
+        console.warn("[WARN] Patch ilegible, se descarta:", fileName, e && e.message ? e.message : e);
+        return null;
+    }
+}
+
+/*
+  Arma los patches hacia el map nuevo sin escribir nada.
+  input: { def, dir, manifest (el previo), prev: { version, file, sha256 } | null, next: { version, file, sha256, count }, map, diff }
+  Devuelve [{ fileName, content, entry }] con entry listo para manifest.patches.
+*/
+function planPatches(input, config)
+{
+    // Sin previo o mismo contenido: no hay nada que parchar (un patch X -> X no sirve)
+    if(!input.prev || config.keep < 1 || input.prev.sha256 === input.next.sha256)
+    {
+        return [];
+    }
+
+    const def = input.def;
+    const changedKeys = input.diff.added.concat(Object.keys(input.diff.modified));
+    const patches = [];
+
+    // previo -> actual
+    patches.push(buildPatch(input.prev, input.next, input.map, new Set(changedKeys), new Set(input.diff.removed)));
+
+    // X -> previo compuestos a X -> actual
+    const previous = Array.isArray(input.manifest.patches) ? input.manifest.patches : [];
+
+    for(const entry of previous)
+    {
+        if(patches.length >= config.keep)
+        {
+            break;
+        }
+
+        const old = loadPreviousPatch(input.dir, entry);
+
+        // X == actual (ej. se volvió a un contenido anterior): la composición no cambia nada
+        if(!old || !old.from || !old.to || old.to.sha256 !== input.prev.sha256 || old.from.sha256 === input.next.sha256)
+        {
+            continue;
+        }
+
+        const upsertKeys = new Set(Object.keys(safeObj(old.upsert)).concat(changedKeys));
+        const removeKeys = new Set((Array.isArray(old.remove) ? old.remove : []).concat(input.diff.removed));
+
+        patches.push(buildPatch(old.from, input.next, input.map, upsertKeys, removeKeys));
+    }
+
+    return patches.map((patch) =>
+    {
+        assertValid(patch, PATCH_SCHEMA, `patch ${patch.from.file} -> ${patch.to.file}`);
+        assertValid(patch.upsert, def.schema, `patch ${patch.from.file} -> ${patch.to.file} (upsert)`);
+
+        const fileName = patchFileName(def.filePrefix, patch.from.sha256, patch.to.sha256);
+        const content = serializeJSON(patch);
+
+        return {
+            fileName,
+            content,
+            entry: {
+                from_version: patch.from.version,
+                from_sha256: patch.from.sha256,
+                url: `/${def.dir}/${PATCHES_DIR}/${fileName}`,
+                sha256: sha256Hex(content),
+                bytes: Buffer.byteLength(content, "utf8"),
+            },
+        };
+    });
+}
+
+function writePatches(dir, planned)
+{
+    if(!planned.length)
+    {
+        return;
+    }
+
+    const patchesDir = join(dir, PATCHES_DIR);
+    if(!existsSync(patchesDir))
+    {
+        mkdirSync(patchesDir, { recursive: true });
+    }
+
+    for(const patch of planned)
+    {
+        writeFileAtomic(join(patchesDir, patch.fileName), patch.content);
+    }
+
+    console.log("[INFO] Patches generados:", planned.length);
+}
+
+// Borra de patches/ todo lo que el manifest no referencia (incluidos temporales colgados)
+function prunePatches(dir, manifest, config)
+{
+    const patchesDir = join(dir, PATCHES_DIR);
+
+    if(!existsSync(patchesDir))
+    {
+        return [];
+    }
+
+    const referenced = new Set((Array.isArray(manifest.patches) ? manifest.patches : []).map((p) => fileNameFromUrl(p.url)));
+    const remove = readdirSync(patchesDir).filter((fileName) => !referenced.has(fileName)).sort();
+
+    for(const fileName of remove)
+    {
+        if(config && config.dryRun)
+        {
+            console.log(`[DRY-RUN] Se borraría (${PATCHES_DIR}):`, fileName);
+
+        }else
+        {
+            safeUnlink(join(patchesDir, fileName));
+            console.log("[OK] Borrado patch viejo:", fileName);
+        }
+    }
+
+    return remove;
+}
+
+module.exports = {
+    PATCHES_DIR,
+    PATCH_SCHEMA,
+    getPatchConfig,
+    patchFileName,
+    planPatches,
+    writePatches,
+    prunePatches,
+};
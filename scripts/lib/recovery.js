@@ -0,0 +1,120 @@
+"use strict";
+
+/*
+  Recuperación al arrancar un updater (después de un corte / kill a mitad de corrida):
+  - Borra temporales de escrituras atómicas que quedaron colgados (*.tmp-<pid>)
+  - Si el manifest está truncado / ilegible, lo rearma
+  - Si el manifest apunta a un map faltante o ilegible, lo repunta al archivo versionado
+    legible más nuevo de la carpeta (en lugar de caer en un bootstrap completo)
+
+  Orden de escritura de los updaters (commit), para que cualquier corte deje un estado recuperable:
+  1) map versionado nuevo  2) archivos auxiliares (ej. machines_index.json)  3) manifest  4) borrar viejos
+*/
+
+const { existsSync, readdirSync } = require("fs");
+const { join } = require("path");
+
+const { TMP_MARKER, readJSON, writeJSON, safeUnlink } = require("./io");
+const { fileNameFromUrl, listVersionedFiles } = require("./versions");
+
+function isReadableMap(filePath)
+{
+    try
+    {
+        const json = readJSON(filePath);
+        return !!json && typeof json === "object" && !Array.isArray(json);
+
+    }catch(e)
+    {
+        return false;
+    }
+}
+
+function removeTempFiles(dir, repairs)
+{
+    if(!existsSync(dir))
+    {
+        return;
+    }
+
+    for(const fileName of readdirSync(dir))
+    {
+        if(fileName.includes(TMP_MARKER))
+        {
+            safeUnlink(join(dir, fileName));
+            repairs.push(`temporal colgado borrado: ${fileName}`);
+        }
+    }
+}
+
+function recoverDataset(def, dir, manifestPath)
+{
+    const repairs = [];
+
+    removeTempFiles(dir, repairs);
+
+    if(!existsSync(manifestPath))
+    {
+        return repairs;
+    }
+
+    let manifest;
+    let manifestBroken = false;
+
+    try
+    {
+        manifest = readJSON(manifestPath);
+        if(!manifest || typeof manifest !== "object" || Array.isArray(manifest))
+        {
+            throw new Error("no es un objeto");
+        }
+
+    }catch(e)
+    {
+        manifest = {};
+        manifestBroken = true;
+        repairs.push(`manifest ilegible (${e && e.message ? e.message : e})`);
+    }
+
+    const currentFile = fileNameFromUrl(manifest[def.manifestKey]);
+    let repoint = manifestBroken;
+
+    if(currentFile && !isReadableMap(join(dir, currentFile)))
+    {
+        repoint = true;
+        repairs.push(`manifest apunta a ${currentFile}, que falta o está ilegible`);
+    }
+
+    if(!repoint)
+    {
+        return repairs;
+    }
+
+    const fallback = listVersionedFiles(dir, def.filePrefix)
+        .find((f) => f.fileName !== currentFile && isReadableMap(join(dir, f.fileName)));
+
+    if(fallback)
+    {
+        manifest.version = fallback.version;
+        manifest[def.manifestKey] = `/${def.dir}/${fallback.fileName}`;
+        repairs.push(`manifest repuntado a ${fallback.fileName}`);
+
+    }else if(manifestBroken)
+    {
+        manifest = { version: null, [def.manifestKey]: null };
+        repairs.push("sin maps legibles: manifest vacío (bootstrap)");
+
+    }else
+    {
+        repairs.push("sin maps legibles para repuntar: bootstrap");
+        return repairs;
+    }
+
+    writeJSON(manifestPath, manifest);
+    return repairs;
+}
+
+module.exports = {
+    isReadableMap,
+    recoverDataset,
+};
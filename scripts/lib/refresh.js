@@ -0,0 +1,172 @@
+"use strict";
+
+/*
+  Refresco de registros existentes (detecta cambios en PokeAPI, no solo altas).
+
+  Modos (env <PREFIX>_REFRESH_MODE o REFRESH_MODE, ej. POKEMON_REFRESH_MODE=slice):
+  - none:  solo agrega faltantes (default)
+  - all:   vuelve a pedir todas las entradas existentes
+  - slice: vuelve a pedir <REFRESH_SLICE> entradas por corrida (default 100), rotando con un cursor
+  - stale: vuelve a pedir las entradas cuyo último fetch tiene más de <REFRESH_MAX_AGE_DAYS> días (default 90)
+           (las que no tienen fecha registrada cuentan como viejas)
+
+  Estado por dataset en public/<dir>/refresh_state.json:
+  {
+    "cursor": 200,
+    "fetched_at": { "pikachu": "2026-08-01", ... },
+    "last_changes": { "date": "2026-09-01", "changed": { "pikachu": ["types"] } }
+  }
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, todayISO, parseISODateUTC, daysBetweenUTC, safeObj } = require("./io");
+const { datasetEnv } = require("./env");
+
+const REFRESH_STATE_FILE = "refresh_state.json";
+const REFRESH_MODES = ["none", "all", "slice", "stale"];
+
+function positiveInt(raw, fallback)
+{
+    const n = Number(raw);
+    return isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+function getRefreshConfig(def)
+{
+    const rawMode = String(datasetEnv(def, "REFRESH_MODE") || "none").toLowerCase();
+
+    if(!REFRESH_MODES.includes(rawMode))
+    {
+        throw new Error(`REFRESH_MODE inválido: ${rawMode} (usar ${REFRESH_MODES.join(" | ")})`);
+    }
+
+    return {
+        mode: rawMode,
+        slice: positiveInt(datasetEnv(def, "REFRESH_SLICE"), 100),
+        maxAgeDays: positiveInt(datasetEnv(def, "REFRESH_MAX_AGE_DAYS"), 90),
+    };
+}
+
+function loadRefreshState(dir)
+{
+    const path = join(dir, REFRESH_STATE_FILE);
+    let raw = {};
+
+    if(existsSync(path))
+    {
+        try
+        {
+            raw = safeObj(readJSON(path));
+
+        }catch(e)
+        {
+            console.warn("[WARN] refresh_state.json ilegible, se arranca vacío:", e && e.message ? e.message : e);
+        }
+    }
+
+    return {
+        path,
+        cursor: typeof raw.cursor === "number" && raw.cursor >= 0 ? raw.cursor : 0,
+        fetched_at: safeObj(raw.fetched_at),
+        last_changes: raw.last_changes && typeof raw.last_changes === "object" ? raw.last_changes : null,
+        dirty: false,
+    };
+}
+
+function selectRefreshKeys(keys, state, config, today)
+{
+    const sorted = keys.slice().sort();
+
+    if(config.mode === "all")
+    {
+        return sorted;
+    }
+
+    if(config.mode === "slice")
+    {
+        if(!sorted.length)
+        {
+            return [];
+        }
+
+        const count = Math.min(config.slice, sorted.length);
+        const start = state.cursor % sorted.length;
+        const out = [];
+
+        for(let i = 0; i < count; i++)
+        {
+            out.push(sorted[(start + i) % sorted.length]);
+        }
+
+        state.cursor = (start + count) % sorted.length;
+        state.dirty = true;
+        return out;
+    }
+
+    if(config.mode === "stale")
+    {
+        const todayDate = parseISODateUTC(today || todayISO());
+
+        return sorted.filter((name) =>
+        {
+            const last = parseISODateUTC(state.fetched_at[name] ? String(state.fetched_at[name]) : null);
+            return !last || daysBetweenUTC(last, todayDate) >= config.maxAgeDays;
+        });
+    }
+
+    return [];
+}
+
+function markFetched(state, name, today)
+{
+    state.fetched_at[name] = today || todayISO();
+    state.dirty = true;
+}
+
+function setLastChanges(state, changes, today)
+{
+    state.last_changes = {
+        date: today || todayISO(),
+        changed: changes,
+    };
+    state.dirty = true;
+}
+
+function saveRefreshState(state, map)
+{
+    if(!state.dirty)
+    {
+        return;
+    }
+
+    // Solo se guardan fechas de entradas que siguen en el map, ordenadas para diffs prolijos
+    const fetchedAt = {};
+    for(const name of Object.keys(state.fetched_at).sort())
+    {
+        if(!map || Object.prototype.hasOwnProperty.call(map, name))
+        {
+            fetchedAt[name] = state.fetched_at[name];
+        }
+    }
+
+    writeJSON(state.path, {
+        cursor: state.cursor,
+        fetched_at: fetchedAt,
+        last_changes: state.last_changes,
+    });
+
+    state.dirty = false;
+}
+
+module.exports = {
+    REFRESH_STATE_FILE,
+    REFRESH_MODES,
+    getRefreshConfig,
+    loadRefreshState,
+    selectRefreshKeys,
+    markFetched,
+    setLastChanges,
+    saveRefreshState,
+};
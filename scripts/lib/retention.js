@@ -0,0 +1,94 @@
+"use strict";
+
+/*
+  Retención de archivos versionados (<filePrefix>.YYYY-MM-DD[.<hash8>].json) por dataset.
+  Los patches de patches/ se podan aparte (ver scripts/lib/patches.js).
+
+  - El archivo referenciado por el manifest nunca se borra
+  - Se conservan las <RETENTION_KEEP> versiones más nuevas contando la referenciada (default 1 = solo la actual)
+  - El resto (incluidos huérfanos que quedaron de corridas viejas) se borra
+  - RETENTION_DRY_RUN=1 solo reporta lo que se borraría
+
+  Configurable global o con prefijo del dataset (ej. MOVES_RETENTION_KEEP=3).
+*/
+
+const { join } = require("path");
+
+const { safeUnlink } = require("./io");
+const { datasetEnv } = require("./env");
+const { fileNameFromUrl, listVersionedFiles } = require("./versions");
+
+function getRetentionConfig(def)
+{
+    const keep = Number(datasetEnv(def, "RETENTION_KEEP"));
+
+    return {
+        keep: isFinite(keep) && keep >= 1 ? Math.floor(keep) : 1,
+        dryRun: String(datasetEnv(def, "RETENTION_DRY_RUN") || "") === "1",
+    };
+}
+
+function referencedFileName(def, manifest)
+{
+    return fileNameFromUrl(manifest && manifest[def.manifestKey]);
+}
+
+// { keep: [fileName], remove: [fileName] } sin tocar disco
+function planRetention(def, dir, manifest, config)
+{
+    const current = referencedFileName(def, manifest);
+    const files = listVersionedFiles(dir, def.filePrefix);
+
+    const keep = [];
+    const remove = [];
+
+    if(current && files.some((f) => f.fileName === current))
+    {
+        keep.push(current);
+    }
+
+    for(const f of files)
+    {
+        if(f.fileName === current)
+        {
+            continue;
+        }
+
+        if(keep.length < config.keep)
+        {
+            keep.push(f.fileName);
+
+        }else
+        {
+            remove.push(f.fileName);
+        }
+    }
+
+    return { keep, remove };
+}
+
+function applyRetention(def, dir, manifest, config)
+{
+    const plan = planRetention(def, dir, manifest, config);
+
+    for(const fileName of plan.remove)
+    {
+        if(config.dryRun)
+        {
+            console.log(`[DRY-RUN] Se borraría (${def.dir}):`, fileName);
+
+        }else
+        {
+            safeUnlink(join(dir, fileName));
+            console.log("[OK] Borrado viejo:", fileName);
+        }
+    }
+
+    return plan;
+}
+
+module.exports = {
+    getRetentionConfig,
+    planRetention,
+    applyRetention,
+};
@@ -0,0 +1,124 @@
+"use strict";
+
+/*
+  Manifest raíz: public/manifest.json con todos los datasets en un solo lugar, para que la app
+  no tenga que conocer el manifest de cada dataset ni sus claves (pokemon_url, ability_url, ...).
+
+  {
+    "updated_at": "<el más reciente de los datasets>",
+    "datasets": {
+      "pokemon": {
+        "manifest": "/pokemon/manifest.json",
+        "changelog": "/pokemon/changelog.json" | null,
+        "url": "/pokemon/pokemon_map.YYYY-MM-DD.<hash8>.json",
+        "version": "YYYY-MM-DD",
+        "sha256": "...", "bytes": 123, "count": 45,
+        "schema": "/schemas/pokemon_map.schema.json",
+        "schema_version": 1,
+        "updated_at": "YYYY-MM-DDTHH:mm:ss.sssZ",
+        "variants": { "min": { url, bytes, sha256 }, "gz": {...}, "br": {...} } | null
+      },
+      ...
+    }
+  }
+
+  Se arma siempre desde los manifests de cada dataset en disco (son la fuente de verdad) y se reescribe
+  cada vez que un updater rota o completa su manifest. También: node scripts/update_root_manifest.js
+*/
+
+const { existsSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, safeObj } = require("./io");
+const { CHANGELOG_FILE } = require("./changelog");
+const { stableStringify } = require("./diff");
+const { assertValid } = require("./schema");
+
+const ROOT_MANIFEST_FILE = "manifest.json";
+const ROOT_MANIFEST_SCHEMA = "root_manifest.schema.json";
+
+function pick(obj, key)
+{
+    return typeof obj[key] === "undefined" ? null : obj[key];
+}
+
+function buildDatasetEntry(def, manifest, hasChangelog)
+{
+    return {
+        manifest: `/${def.dir}/manifest.json`,
+        changelog: hasChangelog ? `/${def.dir}/${CHANGELOG_FILE}` : null,
+        url: pick(manifest, def.manifestKey),
+        version: pick(manifest, "version"),
+        sha256: pick(manifest, "sha256"),
+        bytes: pick(manifest, "bytes"),
+        count: pick(manifest, "count"),
+        schema: `/schemas/${def.schema}`,
+        schema_version: typeof manifest.schema_version === "number" ? manifest.schema_version : 1,
+        updated_at: pick(manifest, "updated_at"),
+        variants: pick(manifest, "variants"),
+    };
+}
+
+function buildRootManifest(repoRoot, defs)
+{
+    const datasets = {};
+    let updatedAt = null;
+
+    for(const def of defs)
+    {
+        const manifestPath = join(repoRoot, "public", def.dir, "manifest.json");
+
+        if(!existsSync(manifestPath))
+        {
+            continue;
+        }
+
+        const hasChangelog = existsSync(join(repoRoot, "public", def.dir, CHANGELOG_FILE));
+        const entry = buildDatasetEntry(def, safeObj(readJSON(manifestPath)), hasChangelog);
+        datasets[def.dir] = entry;
+
+        if(entry.updated_at && (!updatedAt || entry.updated_at > updatedAt))
+        {
+            updatedAt = entry.updated_at;
+        }
+    }
+
+    return {
+        updated_at: updatedAt,
+        datasets,
+    };
+}
+
+// Reescribe public/manifest.json si cambió algo. defs por default: el registro scripts/datasets
+function syncRootManifest(repoRoot, defs)
+{
+    const rootPath = join(repoRoot, "public", ROOT_MANIFEST_FILE);
+    const next = buildRootManifest(repoRoot, defs || require("../datasets"));
+
+    if(existsSync(rootPath))
+    {
+        try
+        {
+            if(stableStringify(readJSON(rootPath)) === stableStringify(next))
+            {
+                return false;
+            }
+
+        }catch(e)
+        {
+            console.warn("[WARN] public/manifest.json ilegible, se rearma:", e && e.message ? e.message : e);
+        }
+    }
+
+    assertValid(next, ROOT_MANIFEST_SCHEMA, `public/${ROOT_MANIFEST_FILE}`);
+    writeJSON(rootPath, next);
+    console.log(`[OK] public/${ROOT_MANIFEST_FILE} actualizado.`);
+    return true;
+}
+
+module.exports = {
+    ROOT_MANIFEST_FILE,
+    ROOT_MANIFEST_SCHEMA,
+    buildRootManifest,
+    syncRootManifest,
+};
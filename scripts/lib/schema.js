@@ -0,0 +1,231 @@
+"use strict";
+
+/*
+  Validación de los JSON publicados contra los schemas de public/schemas/.
+
+  Validador mínimo (sin dependencias) del subconjunto de JSON Schema 2020-12 que usan nuestros schemas:
+  type (incluye "integer" y arrays de tipos), enum, const, properties, required, additionalProperties,
+  propertyNames, items, minItems, uniqueItems, minimum, maximum, minLength, pattern, anyOf y $ref locales (#/$defs/...).
+*/
+
+const { join } = require("path");
+
+const { readJSON, hasOwn } = require("./io");
+
+const SCHEMAS_DIR = join(__dirname, "..", "..", "public", "schemas");
+const MAX_ERRORS = 20;
+
+const schemaCache = {};
+
+function loadSchema(fileName)
+{
+    if(!schemaCache[fileName])
+    {
+        schemaCache[fileName] = readJSON(join(SCHEMAS_DIR, fileName));
+    }
+
+    return schemaCache[fileName];
+}
+
+function typeOf(value)
+{
+    if(value === null) return "null";
+    if(Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function matchesType(value, type)
+{
+    if(type === "integer")
+    {
+        return typeof value === "number" && Number.isInteger(value);
+    }
+
+    if(type === "number")
+    {
+        return typeof value === "number" && isFinite(value);
+    }
+
+    return typeOf(value) === type;
+}
+
+function resolveRef(root, ref)
+{
+    if(!ref.startsWith("#/"))
+    {
+        throw new Error(`$ref no soportado: ${ref}`);
+    }
+
+    let node = root;
+    for(const part of ref.slice(2).split("/"))
+    {
+        node = node ? node[part] : undefined;
+    }
+
+    if(!node)
+    {
+        throw new Error(`$ref sin resolver: ${ref}`);
+    }
+
+    return node;
+}
+
+function validateNode(value, schema, root, path, errors)
+{
+    if(errors.length >= MAX_ERRORS || schema === true)
+    {
+        return;
+    }
+
+    if(schema === false)
+    {
+        errors.push(`${path}: no permitido`);
+        return;
+    }
+
+    if(schema.$ref)
+    {
+        validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+    }
+
+    if(schema.type)
+    {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+        if(!types.some((t) => matchesType(value, t)))
+        {
+            errors.push(`${path}: se esperaba ${types.join(" | ")} y vino ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if(hasOwn(schema, "const") && value !== schema.const)
+    {
+        errors.push(`${path}: se esperaba ${JSON.stringify(schema.const)}`);
+    }
+
+    if(schema.enum && !schema.enum.includes(value))
+    {
+        errors.push(`${path}: ${JSON.stringify(value)} no está en ${JSON.stringify(schema.enum)}`);
+    }
+
+    if(schema.anyOf)
+    {
+        const ok = schema.anyOf.some((sub) =>
+        {
+            const subErrors = [];
+            validateNode(value, sub, root, path, subErrors);
+            return subErrors.length === 0;
+        });
+
+        if(!ok)
+        {
+            errors.push(`${path}: no cumple ninguna opción de anyOf`);
+        }
+    }
+
+    if(typeof value === "string")
+    {
+        if(typeof schema.minLength === "number" && value.length < schema.minLength)
+        {
+            errors.push(`${path}: largo menor a ${schema.minLength}`);
+        }
+
+        if(schema.pattern && !new RegExp(schema.pattern).test(value))
+        {
+            errors.push(`${path}: ${JSON.stringify(value)} no cumple ${schema.pattern}`);
+        }
+    }
+
+    if(typeof value === "number")
+    {
+        if(typeof schema.minimum === "number" && value < schema.minimum)
+        {
+            errors.push(`${path}: menor a ${schema.minimum}`);
+        }
+
+        if(typeof schema.maximum === "number" && value > schema.maximum)
+        {
+            errors.push(`${path}: mayor a ${schema.maximum}`);
+        }
+    }
+
+    if(Array.isArray(value))
+    {
+        if(typeof schema.minItems === "number" && value.length < schema.minItems)
+        {
+            errors.push(`${path}: menos de ${schema.minItems} elementos`);
+        }
+
+        if(schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length)
+        {
+            errors.push(`${path}: elementos repetidos`);
+        }
+
+        if(schema.items)
+        {
+            for(let i = 0; i < value.length; i++)
+            {
+                validateNode(value[i], schema.items, root, `${path}[${i}]`, errors);
+            }
+        }
+    }
+
+    if(typeOf(value) === "object")
+    {
+        const props = schema.properties || {};
+
+        for(const key of schema.required || [])
+        {
+            if(!hasOwn(value, key))
+            {
+                errors.push(`${path}: falta "${key}"`);
+            }
+        }
+
+        for(const [key, child] of Object.entries(value))
+        {
+            const childPath = `${path}.${key}`;
+
+            if(schema.propertyNames)
+            {
+                validateNode(key, schema.propertyNames, root, `${path}{${key}}`, errors);
+            }
+
+            if(hasOwn(props, key))
+            {
+                validateNode(child, props[key], root, childPath, errors);
+
+            }else if(hasOwn(schema, "additionalProperties"))
+            {
+                validateNode(child, schema.additionalProperties, root, childPath, errors);
+            }
+        }
+    }
+}
+
+function validate(value, schema)
+{
+    const errors = [];
+    validateNode(value, schema, schema, "$", errors);
+    return errors;
+}
+
+// Tira error si value no cumple el schema (fileName en public/schemas/)
+function assertValid(value, schemaFileName, label)
+{
+    const errors = validate(value, loadSchema(schemaFileName));
+
+    if(errors.length)
+    {
+        const suffix = errors.length >= MAX_ERRORS ? `\n  ... (se cortó en ${MAX_ERRORS} errores)` : "";
+        throw new Error(`${label} no cumple ${schemaFileName}:\n  ${errors.join("\n  ")}${suffix}`);
+    }
+}
+
+module.exports = {
+    SCHEMAS_DIR,
+    loadSchema,
+    validate,
+    assertValid,
+};
@@ -0,0 +1,598 @@
+"use strict";
+
+/*
+  Núcleo compartido de los updaters (versionado con limpieza + BOOTSTRAP).
+
+  Cada dataset se declara en scripts/datasets/<nombre>.js con:
+  - dir:            carpeta dentro de public/ (ej. "pokemon")
+  - label:          nombre para los logs (ej. "Pokemon")
+  - resource:       recurso de PokeAPI (ej. "pokemon" -> /pokemon?limit=..., /pokemon/{name})
+  - manifestKey:    clave del manifest que apunta al archivo actual (ej. "pokemon_url")
+  - filePrefix:     prefijo del archivo versionado (ej. "pokemon_map" -> pokemon_map.YYYY-MM-DD.<hash8>.json)
+  - poolEnv:        variable de entorno con la concurrencia (default 5)
+  - envPrefix:      prefijo de variables de entorno propias del dataset (ej. "POKEMON" -> POKEMON_REFRESH_MODE)
+  - buildRecord:    (json, name, ctx) => registro a guardar en el map (puede ser async, ej. para pedir datos extra)
+  - requiredFields: campos que no pueden quedar en null en ningún registro (guardas, ver scripts/lib/guards.js)
+  - schema:         schema del map en public/schemas/ (ej. "pokemon_map.schema.json")
+  - manifestSchema: schema del manifest en public/schemas/ (ej. "pokemon_manifest.schema.json")
+  - schemaVersion:  versión del formato de los registros; se sube cuando cambia (se publica en public/manifest.json)
+  - missingSpanishReport: publica public/<dir>/missing_es.json con los display que no son español (ver scripts/lib/names.js)
+  Opcionales:
+  - createManifest: crea public/<dir>/manifest.json vacío si no existe (si no, es error)
+  - sortById:       ordena el map por id antes de escribir
+  - prepare:        async (ctx) => trabajo previo al chequeo de count (puede marcar ctx.changed / ctx.forceList / ctx.refreshAll)
+  - needsRefresh:   (record, ctx) => true si un registro existente hay que volver a pedirlo
+  - onNoop:         (ctx) => se llama cuando no hay nada que reescribir en el map
+  - validate:       (ctx) => validaciones extra antes de escribir (tira error para abortar)
+  - beforeManifest: (ctx) => se llama después de escribir el map y antes de actualizar el manifest
+  - extraFiles:     [{ file, schema, variantsKey? }] archivos auxiliares publicados (validate_maps; variantes si hay variantsKey)
+  - changelogNestedFields: campos objeto que el changelog compara por subclave ("campo.subclave") en vez de entero
+  - run:            async (def, options) => flujo propio en lugar de runUpdater para datasets sin un listado único
+                    (sin resource / buildRecord); arma el map y publica con openDataset + commitDataset (ej. scripts/datasets/reference.js)
+
+  Flujo (runUpdater):
+  - Recuperación de cortes previos: temporales colgados, manifest truncado o apuntando a un map faltante
+  - Lee public/<dir>/manifest.json -> <manifestKey> actual (puede ser null / faltar / archivo faltante)
+  - Si hay archivo actual: lo carga. Si no hay: arranca con map vacío (bootstrap)
+  - Aplica las correcciones manuales de public/<dir>/overrides.json sobre el map cargado (ver scripts/lib/overrides.js)
+  - Reintenta lo pendiente en public/<dir>/failures.json (fallos de corridas anteriores; un 4xx no reintentable lo saca del ledger)
+  - Chequeo liviano: GET /<resource>?limit=1 (count)
+    - Si hay mapa previo, no hubo cambios y count <= localCount => no hace nada
+    - Si no hay mapa previo (bootstrap) => siempre continúa
+    - Con REFRESH_MODE distinto de none o registros a migrar (needsRefresh) siempre continúa (ver scripts/lib/refresh.js)
+  - Trae índice completo /<resource>?limit=100000 (y saca de failures.json lo que ya no aparece)
+  - Agrega faltantes (y refresca los que pida needsRefresh / REFRESH_MODE) con pool; lo que falle queda en failures.json
+    (cada registro pedido pasa de nuevo por overrides.json, así las correcciones sobreviven al refresco)
+  - Anota qué campos cambiaron en cada registro refrescado (refresh_state.json -> last_changes)
+  - Guardas: ratio de fallidos, mínimo de entradas vs el map previo, sin claves eliminadas, requeridos no null
+  - Valida map + manifest + changelog + missing_es contra sus schemas y que toda clave de overrides.json exista
+    (si algo no cumple, aborta sin tocar lo publicado)
+  - Si el map quedó igual (mismo sha256) al publicado, no rota: ni archivo nuevo, ni patches, ni changelog
+  - Escribe NUEVO <filePrefix>.YYYY-MM-DD.<hash8>.json (todas las escrituras son atómicas: temp + rename)
+  - Escribe auxiliares (beforeManifest) y recién después actualiza manifest.json a ese nuevo archivo (+ sha256, bytes, count)
+  - Escribe patches/ desde versiones anteriores al map nuevo y los lista en manifest.patches (ver scripts/lib/patches.js)
+  - Recién con el manifest escrito antepone al changelog.json el diff contra el map anterior (ver scripts/lib/changelog.js)
+  - Publica variantes minificada / .gz / .br del map y de los extraFiles (ver scripts/lib/variants.js)
+  - Aplica la retención: borra versiones viejas / huérfanas según RETENTION_KEEP (ver scripts/lib/retention.js)
+  - Sincroniza el manifest raíz public/manifest.json (ver scripts/lib/root_manifest.js)
+*/
+
+const { existsSync, mkdirSync, readFileSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, writeJSON, writeFileAtomic, serializeJSON, todayISO, nowISO, safeObj } = require("./io");
+const { API, getJson, getCountFromListResponse, withPool } = require("./http");
+const { FAILURES_FILE, loadFailures, recordFailure, clearFailure, isGoneError, pruneFailures, failureNames, saveFailures, logFailuresSummary } = require("./failures");
+const { getRefreshConfig, loadRefreshState, selectRefreshKeys, markFetched, setLastChanges, saveRefreshState } = require("./refresh");
+const { changedFields, diffMaps } = require("./diff");
+const { assertValid } = require("./schema");
+const { assertGuards } = require("./guards");
+const { recoverDataset } = require("./recovery");
+const { getRetentionConfig, applyRetention } = require("./retention");
+const { sha256Hex, contentIntegrity, hashedFileName, backfillIntegrity } = require("./integrity");
+const { syncRootManifest } = require("./root_manifest");
+const { getChangelogConfig, buildChangelogEntry, planChangelog, writeChangelog } = require("./changelog");
+const { getPatchConfig, planPatches, writePatches, prunePatches } = require("./patches");
+const { syncVariants, pruneVariants } = require("./variants");
+const { fileNameFromUrl } = require("./versions");
+const { planMissingSpanishReport, writeMissingSpanishReport } = require("./names");
+const { loadOverrides, hasOverride, applyOverride, applyOverrides, assertOverrideKeys } = require("./overrides");
+
+function sortMapById(map)
+{
+    const orderedKeys = Object.keys(map).sort(function(a, b)
+    {
+        const ia = map[a] && typeof map[a].id === "number" ? map[a].id : Number.MAX_SAFE_INTEGER;
+        const ib = map[b] && typeof map[b].id === "number" ? map[b].id : Number.MAX_SAFE_INTEGER;
+
+        if(ia !== ib)
+        {
+            return ia - ib;
+        }
+
+        return a.localeCompare(b);
+    });
+
+    const orderedMap = {};
+
+    for(let i = 0; i < orderedKeys.length; i++)
+    {
+        orderedMap[orderedKeys[i]] = map[orderedKeys[i]];
+    }
+
+    return orderedMap;
+}
+
+function openDataset(def, options)
+{
+    const opts = safeObj(options);
+    const repoRoot = opts.repoRoot || process.cwd();
+
+    const dir = join(repoRoot, "public", def.dir);
+    const manifestPath = join(dir, "manifest.json");
+
+    if(!existsSync(manifestPath))
+    {
+        if(!def.createManifest)
+        {
+            throw new Error(`No existe public/${def.dir}/manifest.json`);
+        }
+
+        if(!existsSync(dir))
+        {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        writeJSON(manifestPath, {
+            version: null,
+            [def.manifestKey]: null
+        });
+    }
+
+    const repairs = recoverDataset(def, dir, manifestPath);
+    for(const repair of repairs)
+    {
+        console.warn("[WARN] Recuperación:", repair);
+    }
+
+    const manifest = safeObj(readJSON(manifestPath));
+    backfillIntegrity(def, dir, manifest, manifestPath);
+
+    // <manifestKey>: "/<dir>/<filePrefix>.2026-02-20.json" (puede ser null/faltar)
+    const urlPath = manifest[def.manifestKey] ? String(manifest[def.manifestKey]) : null;
+
+    let oldFileName = null;
+    let oldMapPath = null;
+
+    let map = {};
+    let knownKeys = new Set();
+
+    // BOOTSTRAP: si hay url y el archivo existe, lo cargo. Si no, arranco vacío.
+    if(urlPath)
+    {
+        oldFileName = fileNameFromUrl(urlPath);
+        oldMapPath = oldFileName ? join(dir, oldFileName) : null;
+
+        if(oldMapPath && existsSync(oldMapPath))
+        {
+            map = safeObj(readJSON(oldMapPath));
+            knownKeys = new Set(Object.keys(map));
+            console.log("[INFO] Archivo actual:", oldFileName);
+            console.log("[INFO] Cantidad actual en map:", knownKeys.size);
+
+        }else
+        {
+            console.log("[INFO] No existe el mapa previo (archivo faltante). Bootstrap desde cero.");
+        }
+
+    }else
+    {
+        console.log(`[INFO] manifest sin ${def.manifestKey}. Bootstrap desde cero.`);
+    }
+
+    return {
+        def,
+        repoRoot,
+        dir,
+        manifestPath,
+        manifest,
+        oldFileName,
+        oldMapPath,
+        map,
+        knownKeys,
+        previousKeys: Array.from(knownKeys),
+        changed: false,
+        forceList: false,
+        refreshAll: false,
+    };
+}
+
+function finishNoop(ctx)
+{
+    if(typeof ctx.def.onNoop === "function")
+    {
+        ctx.def.onNoop(ctx);
+    }
+
+    // Variantes faltantes (ej. checkout limpio) o de un extra que cambió sin rotar el map
+    if(syncVariants(ctx.def, ctx.dir, ctx.manifest))
+    {
+        writeJSON(ctx.manifestPath, ctx.manifest);
+    }
+
+    pruneVariants(ctx.def, ctx.dir, ctx.manifest, getRetentionConfig(ctx.def));
+
+    // El manifest del dataset pudo completarse (integridad, variantes) aunque no se rote
+    syncRootManifest(ctx.repoRoot);
+}
+
+function commitDataset(ctx, map)
+{
+    const def = ctx.def;
+
+    // Escribir NUEVO archivo versionado (nombre con fecha + hash del contenido)
+    const version = ctx.today || todayISO();
+    const content = serializeJSON(map);
+    const integrity = contentIntegrity(content, map);
+    const newFileName = hashedFileName(def.filePrefix, version, integrity.sha256);
+    const newMapPath = join(ctx.dir, newFileName);
+
+    // Diff contra lo publicado en disco (ctx.map ya viene modificado en memoria)
+    const hasPrev = !!ctx.oldMapPath && existsSync(ctx.oldMapPath);
+    const prevContent = hasPrev ? readFileSync(ctx.oldMapPath, "utf8") : null;
+
+    // Mismo contenido que el publicado (aunque sea otro día, el nombre lleva la fecha): no se rota
+    if(hasPrev && sha256Hex(prevContent) === integrity.sha256)
+    {
+        console.log(`[OK] ${def.label}: el map quedó igual al publicado (${ctx.oldFileName}). Nada que rotar.`);
+        finishNoop(ctx);
+        return null;
+    }
+
+    const diff = diffMaps(hasPrev ? safeObj(JSON.parse(prevContent)) : {}, map, def.changelogNestedFields);
+
+    // Un diff vacío (ej. solo cambió el formato del archivo) no gasta una entrada del changelog
+    const emptyDiff = !diff.added.length && !diff.removed.length && !Object.keys(diff.modified).length;
+    const changelogEntry = emptyDiff ? null : buildChangelogEntry(diff, {
+        version,
+        from: hasPrev ? ctx.oldFileName : null,
+        to: newFileName,
+    });
+
+    // Validar antes de escribir nada: si algo no cumple, el map viejo y el manifest quedan como estaban
+    const plannedPatches = planPatches({
+        def,
+        dir: ctx.dir,
+        manifest: ctx.manifest,
+        prev: hasPrev ? { version: ctx.manifest.version, file: ctx.oldFileName, sha256: sha256Hex(prevContent) } : null,
+        next: { version, file: newFileName, sha256: integrity.sha256, count: integrity.count },
+        map,
+        diff,
+    }, getPatchConfig(def));
+
+    const nextManifest = Object.assign({}, ctx.manifest, {
+        version: version,
+        [def.manifestKey]: `/${def.dir}/${newFileName}`,
+        sha256: integrity.sha256,
+        bytes: integrity.bytes,
+        count: integrity.count,
+        updated_at: nowISO(),
+        schema_version: def.schemaVersion || 1,
+        patches: plannedPatches.map((p) => p.entry),
+    });
+
+    assertValid(map, def.schema, newFileName);
+    assertValid(nextManifest, def.manifestSchema, `public/${def.dir}/manifest.json`);
+
+    assertOverrideKeys(def, map, safeObj(ctx.overrides));
+
+    if(typeof def.validate === "function")
+    {
+        def.validate(ctx);
+    }
+
+    const changelog = changelogEntry ? planChangelog(def, ctx.dir, changelogEntry, getChangelogConfig(def)) : null;
+    const missingSpanish = def.missingSpanishReport ? planMissingSpanishReport(def, map) : null;
+
+    writeFileAtomic(newMapPath, content);
+    writePatches(ctx.dir, plannedPatches);
+
+    if(typeof def.beforeManifest === "function")
+    {
+        def.beforeManifest(ctx);
+    }
+
+    if(missingSpanish)
+    {
+        writeMissingSpanishReport(def, ctx.dir, missingSpanish);
+    }
+
+    // Variantes del map nuevo y de los extra (el manifest se vuelve a validar con sus urls / tamaños)
+    syncVariants(def, ctx.dir, nextManifest);
+    assertValid(nextManifest, def.manifestSchema, `public/${def.dir}/manifest.json`);
+
+    // Actualizar manifest
+    Object.assign(ctx.manifest, nextManifest);
+    writeJSON(ctx.manifestPath, ctx.manifest);
+
+    if(changelog)
+    {
+        writeChangelog(ctx.dir, changelog);
+    }
+
+    // Borrar viejos y huérfanos según la retención
+    const retention = getRetentionConfig(def);
+    applyRetention(def, ctx.dir, ctx.manifest, retention);
+    prunePatches(ctx.dir, ctx.manifest, retention);
+    pruneVariants(def, ctx.dir, ctx.manifest, retention);
+
+    syncRootManifest(ctx.repoRoot);
+
+    console.log("[OK] Generado:", newFileName);
+    console.log("[OK] Manifest actualizado a version:", version);
+
+    return { version, fileName: newFileName, sha256: integrity.sha256, changes: changelogEntry ? changelogEntry.summary : null };
+}
+
+// Pide /<resource>/{name} para cada nombre y guarda el registro. Los fallos van al ledger.
+// retrying: son reintentos del ledger; un 4xx no reintentable los saca del ledger sin contarlos como fallidos.
+async function fetchRecords(ctx, names, poolSize, stats, retrying)
+{
+    const def = ctx.def;
+    const map = ctx.map;
+
+    await withPool(names, poolSize, async (name, idx) =>
+    {
+        try
+        {
+            const json = await getJson(`${API}/${def.resource}/${name}`);
+            const isNew = !ctx.knownKeys.has(name);
+            const prev = map[name];
+            const built = await def.buildRecord(json, name, ctx);
+            const next = hasOverride(ctx.overrides, name) ? applyOverride(built, ctx.overrides[name]) : built;
+
+            map[name] = next;
+
+            ctx.knownKeys.add(name);
+            ctx.failedKeys.delete(name);
+            clearFailure(ctx.failures, name);
+            markFetched(ctx.refreshState, name, ctx.today);
+
+            if(isNew)
+            {
+                stats.added++;
+                ctx.changed = true;
+
+            }else
+            {
+                stats.refreshed++;
+
+                const fields = changedFields(prev, next);
+                if(fields.length)
+                {
+                    ctx.fieldChanges[name] = fields;
+                    ctx.changed = true;
+                }
+            }
+
+            if((idx + 1) % 50 === 0)
+            {
+                console.log(`[INFO] Procesados ${idx + 1}/${names.length} | agregados=${stats.added} | refrescados=${stats.refreshed} | fallidos=${stats.failed}`);
+            }
+
+        }catch(e)
+        {
+            if(retrying && isGoneError(e))
+            {
+                clearFailure(ctx.failures, name);
+                console.warn(`[WARN] Se quita de ${FAILURES_FILE} (ya no existe en la API):`, name, e.message);
+                return;
+            }
+
+            stats.failed++;
+            ctx.failedKeys.add(name);
+            recordFailure(ctx.failures, name, e);
+            console.warn("[WARN] No pude agregar/refrescar:", name, e && e.message ? e.message : e);
+        }
+    });
+}
+
+function logFieldChanges(ctx)
+{
+    const names = Object.keys(ctx.fieldChanges).sort();
+
+    if(!names.length)
+    {
+        return;
+    }
+
+    console.log("[INFO] Registros con cambios:", names.length);
+
+    for(const name of names.slice(0, 50))
+    {
+        console.log(`[INFO] Cambió ${name}:`, ctx.fieldChanges[name].join(", "));
+    }
+
+    if(names.length > 50)
+    {
+        console.log(`[INFO] ... y ${names.length - 50} más (ver refresh_state.json)`);
+    }
+
+    const ordered = {};
+    for(const name of names)
+    {
+        ordered[name] = ctx.fieldChanges[name];
+    }
+
+    setLastChanges(ctx.refreshState, ordered, ctx.today);
+}
+
+function finishRun(ctx)
+{
+    logFieldChanges(ctx);
+    saveRefreshState(ctx.refreshState, ctx.map);
+    saveFailures(ctx.failures);
+    logFailuresSummary(ctx.failures);
+}
+
+async function runUpdater(def, options)
+{
+    const ctx = openDataset(def, options);
+    const map = ctx.map;
+
+    ctx.today = todayISO();
+    ctx.failures = loadFailures(ctx.dir);
+    ctx.failedKeys = new Set();
+    ctx.refreshState = loadRefreshState(ctx.dir);
+    ctx.fieldChanges = {};
+    ctx.overrides = loadOverrides(def, ctx.dir);
+
+    // Overrides nuevos o editados en git: hay que reescribir aunque PokeAPI no cambie
+    const overridden = applyOverrides(map, ctx.overrides);
+    if(overridden.length)
+    {
+        console.log("[INFO] Overrides aplicados sobre el map actual:", overridden.join(", "));
+        ctx.changed = true;
+    }
+
+    const POOL = Number(process.env[def.poolEnv] || 5);
+    const stats = { added: 0, refreshed: 0, failed: 0 };
+
+    if(typeof def.prepare === "function")
+    {
+        await def.prepare(ctx);
+    }
+
+    // 0) Reintento de fallos de corridas anteriores (antes del chequeo de count)
+    const pending = failureNames(ctx.failures);
+    const retriedThisRun = new Set(pending);
+
+    if(pending.length)
+    {
+        console.log(`[INFO] Reintentando fallos previos (${FAILURES_FILE}):`, pending.length);
+        await fetchRecords(ctx, pending, POOL, stats, true);
+    }
+
+    // Refresco de existentes según REFRESH_MODE
+    const refreshConfig = getRefreshConfig(def);
+    const refreshSet = new Set(selectRefreshKeys(Object.keys(map), ctx.refreshState, refreshConfig, ctx.today));
+
+    if(refreshConfig.mode !== "none")
+    {
+        console.log("[INFO] Refresh mode:", refreshConfig.mode, "| seleccionados:", refreshSet.size);
+        ctx.forceList = ctx.forceList || refreshSet.size > 0;
+    }
+
+    // Migraciones (needsRefresh): si algún registro existente quedó viejo hay que listar aunque el count no crezca
+    if(!ctx.forceList && typeof def.needsRefresh === "function" && Object.keys(map).some((name) => def.needsRefresh(map[name], ctx)))
+    {
+        console.log("[INFO] Hay registros a migrar (needsRefresh). Se lista el índice completo.");
+        ctx.forceList = true;
+    }
+
+    // 1.A) Chequeo liviano: count
+    const head = await getJson(`${API}/${def.resource}?limit=1`);
+    const apiCount = getCountFromListResponse(head);
+    const localCount = ctx.knownKeys.size;
+
+    console.log(`[INFO] ${def.label} local:`, localCount, `| ${def.label} API (count):`, apiCount);
+
+    // Si NO es bootstrap, no hubo cambios y count no creció => no hacemos nada
+    const isBootstrap = localCount === 0;
+    if(!isBootstrap && !ctx.changed && !ctx.forceList && apiCount !== null && apiCount <= localCount)
+    {
+        console.log(`[OK] El count no creció. No hay ${def.label} nuevos. Nada que actualizar.`);
+        finishNoop(ctx);
+        finishRun(ctx);
+        return null;
+    }
+
+    // 1.B) Índice completo
+    const list = await getJson(`${API}/${def.resource}?limit=100000`);
+    const results = list && list.results ? list.results : [];
+    console.log(`[INFO] ${def.label} en API (results):`, results.length);
+
+    // Pendientes que PokeAPI ya no lista (eliminados / renombrados): no se reintentan más
+    const pruned = pruneFailures(ctx.failures, results.map((r) => (r && r.name ? r.name : null)).filter(Boolean));
+    if(pruned.length)
+    {
+        console.warn(`[WARN] Se quitan de ${FAILURES_FILE} (no están en el índice):`, pruned.join(", "));
+    }
+
+    // 2) Faltantes + refrescos (lo que ya se reintentó en el paso 0 no se vuelve a pedir)
+    const missing = [];
+    const toRefresh = [];
+
+    for(let i = 0; i < results.length; i++)
+    {
+        const name = results[i] && results[i].name ? results[i].name : null;
+
+        if(!name || retriedThisRun.has(name))
+        {
+            continue;
+        }
+
+        if(!ctx.knownKeys.has(name))
+        {
+            missing.push(name);
+            continue;
+        }
+
+        if(ctx.refreshAll || refreshSet.has(name) || (typeof def.needsRefresh === "function" && def.needsRefresh(map[name], ctx)))
+        {
+            toRefresh.push(name);
+        }
+    }
+
+    const candidates = missing.concat(toRefresh);
+
+    if(!candidates.length)
+    {
+        if(!ctx.changed)
+        {
+            console.log(`[OK] No hay ${def.label} nuevos ni para refrescar (missing=0). Nada que actualizar.`);
+            finishNoop(ctx);
+            finishRun(ctx);
+            return null;
+        }
+
+        console.log(`[INFO] No hay ${def.label} nuevos, pero sí cambios en el map. Se reescribe.`);
+    }
+
+    console.log(`[INFO] ${def.label} a agregar:`, missing.length, "| a refrescar:", toRefresh.length);
+
+    // 3) Detalles con concurrencia
+    console.log("[INFO] Concurrencia pool:", POOL);
+    await fetchRecords(ctx, candidates, POOL, stats);
+
+    if(!ctx.changed)
+    {
+        console.log(`[OK] Refrescados sin cambios (${stats.refreshed}). Nada que reescribir.`);
+        finishNoop(ctx);
+        finishRun(ctx);
+        return null;
+    }
+
+    const outMap = def.sortById ? sortMapById(map) : map;
+
+    // Guardas de sanidad y validaciones de commitDataset: si fallan, se aborta sin rotar (el viejo queda publicado).
+    // El ledger de fallos sí se guarda, para reintentar en la próxima corrida.
+    let result;
+
+    try
+    {
+        assertGuards(ctx, outMap, stats);
+        result = commitDataset(ctx, outMap);
+
+    }catch(e)
+    {
+        saveFailures(ctx.failures);
+        logFailuresSummary(ctx.failures);
+        throw e;
+    }
+
+    console.log("[OK] Total agregados:", stats.added, "| refrescados:", stats.refreshed, "| fallidos:", stats.failed);
+    finishRun(ctx);
+
+    return result;
+}
+
+function runMain(def)
+{
+    const run = typeof def.run === "function" ? def.run : runUpdater;
+
+    run(def).catch((e) =>
+    {
+        console.error("[FATAL]", e);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    sortMapById,
+    openDataset,
+    finishNoop,
+    commitDataset,
+    runUpdater,
+    runMain,
+};
@@ -0,0 +1,156 @@
+"use strict";
+
+/*
+  Variantes de publicación: junto a cada map (y a los extraFiles con variantsKey, ej. machines_index.json)
+  se publica el JSON minificado y precomprimido:
+    <archivo>.min.json       JSON sin indentar
+    <archivo>.min.json.gz    gzip (nivel 9) del minificado
+    <archivo>.min.json.br    brotli (calidad 11) del minificado
+
+  El manifest las lista con url, bytes y sha256 (manifest.variants para el map, manifest[variantsKey] para los extra).
+  En git solo queda la versión indentada (para revisar diffs); las variantes están en .gitignore
+  y se regeneran en cada corrida y en el deploy de Pages (node scripts/build_variants.js).
+  Las variantes que el manifest ya no referencia se borran.
+*/
+
+const { existsSync, readFileSync, readdirSync } = require("fs");
+const { join } = require("path");
+const { gzipSync, brotliCompressSync, constants } = require("zlib");
+
+const { writeFileAtomic, safeUnlink, safeObj } = require("./io");
+const { sha256Hex } = require("./integrity");
+const { fileNameFromUrl } = require("./versions");
+
+const VARIANTS = [
+    {
+        name: "min",
+        suffix: ".min.json",
+        encode: (min) => Buffer.from(min, "utf8"),
+    },
+    {
+        name: "gz",
+        suffix: ".min.json.gz",
+        encode: (min) => gzipSync(min, { level: 9 }),
+    },
+    {
+        name: "br",
+        suffix: ".min.json.br",
+        encode: (min) => brotliCompressSync(min, {
+            params: {
+                [constants.BROTLI_PARAM_QUALITY]: 11,
+                [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+            },
+        }),
+    },
+];
+
+const VARIANT_FILE_REGEX = /\.min\.json(\.gz|\.br)?$/;
+
+function variantFileName(fileName, suffix)
+{
+    return fileName.replace(/\.json$/, "") + suffix;
+}
+
+// Archivos con variantes: el map referenciado por el manifest + extraFiles con variantsKey
+function variantTargets(def, dir, manifest)
+{
+    const targets = [];
+    const mapFile = fileNameFromUrl(manifest[def.manifestKey]);
+
+    if(mapFile && existsSync(join(dir, mapFile)))
+    {
+        targets.push({ fileName: mapFile, key: "variants" });
+    }
+
+    for(const extra of def.extraFiles || [])
+    {
+        if(extra.variantsKey && existsSync(join(dir, extra.file)))
+        {
+            targets.push({ fileName: extra.file, key: extra.variantsKey });
+        }
+    }
+
+    return targets;
+}
+
+function isUpToDate(dir, entry, minSha256)
+{
+    return !!entry && !!entry.min && entry.min.sha256 === minSha256 &&
+        VARIANTS.every((v) => entry[v.name] && existsSync(join(dir, fileNameFromUrl(entry[v.name].url))));
+}
+
+// Genera las variantes que falten o estén desactualizadas y completa el manifest (sin escribirlo). true si cambió algo.
+function syncVariants(def, dir, manifest)
+{
+    let changed = false;
+
+    for(const target of variantTargets(def, dir, manifest))
+    {
+        const min = JSON.stringify(JSON.parse(readFileSync(join(dir, target.fileName), "utf8")));
+
+        if(isUpToDate(dir, manifest[target.key], sha256Hex(min)))
+        {
+            continue;
+        }
+
+        const entry = {};
+
+        for(const variant of VARIANTS)
+        {
+            const fileName = variantFileName(target.fileName, variant.suffix);
+            const data = variant.encode(min);
+
+            writeFileAtomic(join(dir, fileName), data);
+
+            entry[variant.name] = {
+                url: `/${def.dir}/${fileName}`,
+                bytes: data.length,
+                sha256: sha256Hex(data),
+            };
+        }
+
+        manifest[target.key] = entry;
+        changed = true;
+
+        console.log(`[INFO] Variantes de ${target.fileName}:`, VARIANTS.map((v) => `${v.name}=${entry[v.name].bytes}`).join(" "));
+    }
+
+    return changed;
+}
+
+// Borra variantes que el manifest no referencia (de maps viejos o extra que cambiaron)
+function pruneVariants(def, dir, manifest, config)
+{
+    const referenced = new Set();
+
+    for(const key of ["variants"].concat((def.extraFiles || []).map((e) => e.variantsKey).filter(Boolean)))
+    {
+        for(const variant of Object.values(safeObj(manifest[key])))
+        {
+            referenced.add(fileNameFromUrl(variant && variant.url));
+        }
+    }
+
+    const remove = readdirSync(dir).filter((f) => VARIANT_FILE_REGEX.test(f) && !referenced.has(f)).sort();
+
+    for(const fileName of remove)
+    {
+        if(config && config.dryRun)
+        {
+            console.log(`[DRY-RUN] Se borraría (${def.dir}):`, fileName);
+
+        }else
+        {
+            safeUnlink(join(dir, fileName));
+        }
+    }
+
+    return remove;
+}
+
+module.exports = {
+    VARIANTS,
+    variantFileName,
+    syncVariants,
+    pruneVariants,
+};
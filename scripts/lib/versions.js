@@ -0,0 +1,63 @@
+"use strict";
+
+/*
+  Archivos versionados de un dataset dentro de public/<dir>/:
+  <filePrefix>.YYYY-MM-DD.<hash8>.json (o <filePrefix>.YYYY-MM-DD.json, nombres previos al hash).
+*/
+
+const { existsSync, readdirSync, statSync } = require("fs");
+const { join } = require("path");
+
+function escapeRegExp(str)
+{
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function versionedFileRegex(filePrefix)
+{
+    return new RegExp(`^${escapeRegExp(filePrefix)}\\.(\\d{4}-\\d{2}-\\d{2})(?:\\.([0-9a-f]{8}))?\\.json$`);
+}
+
+// "/pokemon/pokemon_map.2026-08-01.abcd1234.json" -> "pokemon_map.2026-08-01.abcd1234.json" (null si no hay url)
+function fileNameFromUrl(url)
+{
+    return url ? String(url).split("/").filter(Boolean).pop() || null : null;
+}
+
+// Lista los archivos versionados del dataset, del más nuevo al más viejo
+function listVersionedFiles(dir, filePrefix)
+{
+    if(!existsSync(dir))
+    {
+        return [];
+    }
+
+    const re = versionedFileRegex(filePrefix);
+    const out = [];
+
+    for(const fileName of readdirSync(dir))
+    {
+        const m = re.exec(fileName);
+        if(m)
+        {
+            out.push({ fileName, version: m[1], hash: m[2] || null, mtimeMs: statSync(join(dir, fileName)).mtimeMs });
+        }
+    }
+
+    // Mismo día con distinto hash: el último escrito primero
+    return out.sort((a, b) =>
+    {
+        if(a.version !== b.version)
+        {
+            return b.version.localeCompare(a.version);
+        }
+
+        return b.mtimeMs - a.mtimeMs || b.fileName.localeCompare(a.fileName);
+    });
+}
+
+module.exports = {
+    fileNameFromUrl,
+    versionedFileRegex,
+    listVersionedFiles,
+};
@@ -0,0 +1,11 @@
+"use strict";
+
+/*
+  Versionado con limpieza (Learnsets) + BOOTSTRAP.
+  Definición del dataset: scripts/datasets/learnsets.js
+  Flujo compartido (manifest + bootstrap + archivo versionado + limpieza): scripts/lib/updater.js
+*/
+
+const { runMain } = require("./lib/updater");
+
+runMain(require("./datasets/learnsets"));
@@ -0,0 +1,11 @@
+"use strict";
+
+/*
+  Versionado con limpieza (Reference bundle) + BOOTSTRAP.
+  Definición del dataset: scripts/datasets/reference.js
+  Flujo compartido (openDataset + commitDataset): scripts/lib/updater.js
+*/
+
+const { runMain } = require("./lib/updater");
+
+runMain(require("./datasets/reference"));
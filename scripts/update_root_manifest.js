@@ -0,0 +1,22 @@
+"use strict";
+
+/*
+  Regenera public/manifest.json (manifest raíz) desde los manifests de cada dataset.
+  Los updaters ya lo sincronizan solos al rotar; esto es para arreglarlo a mano o después de editar un manifest.
+  Definición: scripts/lib/root_manifest.js
+*/
+
+const { syncRootManifest } = require("./lib/root_manifest");
+
+try
+{
+    if(!syncRootManifest(process.cwd()))
+    {
+        console.log("[OK] public/manifest.json ya estaba al día.");
+    }
+
+}catch(e)
+{
+    console.error("[FATAL]", e);
+    process.exit(1);
+}
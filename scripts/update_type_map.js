@@ -0,0 +1,11 @@
+"use strict";
+
+/*
+  Versionado con limpieza (Type map) + BOOTSTRAP.
+  Definición del dataset: scripts/datasets/types.js
+  Flujo compartido (manifest + bootstrap + archivo versionado + limpieza): scripts/lib/updater.js
+*/
+
+const { runMain } = require("./lib/updater");
+
+runMain(require("./datasets/types"));
@@ -0,0 +1,191 @@
+"use strict";
+
+/*
+  Valida todo lo publicado en public/ contra public/schemas/:
+  - manifest.json de cada dataset
+  - el map al que apunta cada manifest (y que su sha256 / bytes / count coincidan con el manifest)
+  - archivos extra del dataset (ej. public/moves/machines_index.json), su changelog.json y missing_es.json
+  - overrides.json (correcciones manuales): schema y que cada clave exista en el map actual
+  - los patches listados en manifest.patches (schema + sha256)
+  - public/manifest.json (manifest raíz), que además tiene que coincidir con los manifests de cada dataset
+  Sale con código 1 si algo no cumple.
+*/
+
+const { existsSync, readFileSync } = require("fs");
+const { join } = require("path");
+
+const { readJSON, safeObj } = require("./lib/io");
+const { stableStringify } = require("./lib/diff");
+const { assertValid } = require("./lib/schema");
+const { contentIntegrity, sha256Hex } = require("./lib/integrity");
+const { CHANGELOG_FILE, CHANGELOG_SCHEMA } = require("./lib/changelog");
+const { PATCHES_DIR, PATCH_SCHEMA } = require("./lib/patches");
+const { MISSING_ES_FILE, MISSING_ES_SCHEMA } = require("./lib/names");
+const { OVERRIDES_FILE, OVERRIDES_SCHEMA, findUnknownOverrideKeys } = require("./lib/overrides");
+const { fileNameFromUrl } = require("./lib/versions");
+const { ROOT_MANIFEST_FILE, ROOT_MANIFEST_SCHEMA, buildRootManifest } = require("./lib/root_manifest");
+const datasets = require("./datasets");
+
+function validateDataset(repoRoot, def)
+{
+    const dir = join(repoRoot, "public", def.dir);
+    const manifestPath = join(dir, "manifest.json");
+    const checks = [];
+
+    if(!existsSync(manifestPath))
+    {
+        return [`public/${def.dir}/manifest.json no existe`];
+    }
+
+    const manifest = readJSON(manifestPath);
+    checks.push([manifest, def.manifestSchema, `public/${def.dir}/manifest.json`]);
+
+    const url = manifest[def.manifestKey];
+    if(url)
+    {
+        const fileName = fileNameFromUrl(url);
+        const mapPath = join(dir, fileName);
+
+        if(!existsSync(mapPath))
+        {
+            return [`public/${def.dir}/manifest.json apunta a ${fileName}, que no existe`];
+        }
+
+        const content = readFileSync(mapPath, "utf8");
+        const map = JSON.parse(content);
+        checks.push([map, def.schema, `public/${def.dir}/${fileName}`]);
+
+        const actual = contentIntegrity(content, map);
+        for(const field of ["sha256", "bytes", "count"])
+        {
+            if(typeof manifest[field] !== "undefined" && manifest[field] !== actual[field])
+            {
+                return [`public/${def.dir}/manifest.json: ${field} ${manifest[field]} no coincide con ${fileName} (${actual[field]})`];
+            }
+        }
+
+        const overridesPath = join(dir, OVERRIDES_FILE);
+        const unknown = existsSync(overridesPath) ? findUnknownOverrideKeys(map, safeObj(readJSON(overridesPath))) : [];
+        if(unknown.length)
+        {
+            return [`public/${def.dir}/${OVERRIDES_FILE}: claves que no existen en ${fileName}: ${unknown.join(", ")}`];
+        }
+    }
+
+    for(const entry of Array.isArray(manifest.patches) ? manifest.patches : [])
+    {
+        const patchFile = fileNameFromUrl(entry.url);
+        const relPath = `${PATCHES_DIR}/${patchFile}`;
+        const patchPath = join(dir, PATCHES_DIR, patchFile);
+
+        if(!existsSync(patchPath))
+        {
+            return [`public/${def.dir}/manifest.json lista ${relPath}, que no existe`];
+        }
+
+        const content = readFileSync(patchPath, "utf8");
+        if(sha256Hex(content) !== entry.sha256)
+        {
+            return [`public/${def.dir}/${relPath}: sha256 no coincide con el manifest`];
+        }
+
+        checks.push([JSON.parse(content), PATCH_SCHEMA, `public/${def.dir}/${relPath}`]);
+    }
+
+    const extras = (def.extraFiles || []).concat([
+        { file: CHANGELOG_FILE, schema: CHANGELOG_SCHEMA },
+        { file: MISSING_ES_FILE, schema: MISSING_ES_SCHEMA },
+        { file: OVERRIDES_FILE, schema: OVERRIDES_SCHEMA },
+    ]);
+
+    for(const extra of extras)
+    {
+        const extraPath = join(dir, extra.file);
+        if(existsSync(extraPath))
+        {
+            checks.push([readJSON(extraPath), extra.schema, `public/${def.dir}/${extra.file}`]);
+        }
+    }
+
+    const errors = [];
+
+    for(const [value, schema, label] of checks)
+    {
+        try
+        {
+            assertValid(value, schema, label);
+            console.log("[OK]", label);
+
+        }catch(e)
+        {
+            errors.push(e.message);
+        }
+    }
+
+    return errors;
+}
+
+function validateRootManifest(repoRoot, defs)
+{
+    const rootPath = join(repoRoot, "public", ROOT_MANIFEST_FILE);
+    const label = `public/${ROOT_MANIFEST_FILE}`;
+
+    if(!existsSync(rootPath))
+    {
+        return [`${label} no existe (node scripts/update_root_manifest.js)`];
+    }
+
+    const root = readJSON(rootPath);
+
+    try
+    {
+        assertValid(root, ROOT_MANIFEST_SCHEMA, label);
+
+    }catch(e)
+    {
+        return [e.message];
+    }
+
+    if(stableStringify(root) !== stableStringify(buildRootManifest(repoRoot, defs)))
+    {
+        return [`${label} no coincide con los manifests de los datasets (node scripts/update_root_manifest.js)`];
+    }
+
+    console.log("[OK]", label);
+    return [];
+}
+
+function main()
+{
+    const repoRoot = process.cwd();
+    let errors = [];
+
+    for(const def of datasets)
+    {
+        errors = errors.concat(validateDataset(repoRoot, def));
+    }
+
+    errors = errors.concat(validateRootManifest(repoRoot, datasets));
+
+    if(errors.length)
+    {
+        for(const err of errors)
+        {
+            console.error("[ERROR]", err);
+        }
+
+        process.exit(1);
+    }
+
+    console.log("[OK] Todo cumple los schemas.");
+}
+
+if(require.main === module)
+{
+    main();
+}
+
+module.exports = {
+    validateDataset,
+    validateRootManifest,
+};
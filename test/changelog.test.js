@@ -0,0 +1,202 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { writeFileSync } = require("fs");
+const { join } = require("path");
+
+const { diffMaps } = require("../scripts/lib/diff");
+const { writeJSON } = require("../scripts/lib/io");
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox, addListEntry } = require("./helpers/sandbox");
+
+const squirtle = { id: 7, name: "squirtle", types: [{ slot: 1, type: { name: "water" } }] };
+
+test("diffMaps separa agregados, eliminados y modificados con before/after por campo", () =>
+{
+    const prev = {
+        bulbasaur: { id: 1, types: ["grass"] },
+        ivysaur: { id: 2, types: ["grass", "poison"] },
+        missingno: { id: 0, types: [] },
+    };
+
+    const next = {
+        squirtle: { id: 7, types: ["water"] },
+        ivysaur: { types: ["poison", "grass"], id: 2 },
+        bulbasaur: { id: 1, types: ["grass", "poison"], display: "Bulbasaur" },
+    };
+
+    assert.deepEqual(diffMaps(prev, next), {
+        added: ["squirtle"],
+        removed: ["missingno"],
+        modified: {
+            bulbasaur: {
+                display: { before: null, after: "Bulbasaur" },
+                types: { before: ["grass"], after: ["grass", "poison"] },
+            },
+            ivysaur: {
+                types: { before: ["grass", "poison"], after: ["poison", "grass"] },
+            },
+        },
+    });
+
+    assert.deepEqual(diffMaps(null, { a: { id: 1 } }), { added: ["a"], removed: [], modified: {} });
+});
+
+test("diffMaps con nestedFields compara esos campos por subclave", () =>
+{
+    const prev = { bulbasaur: { id: 1, groups: { "red-blue": { egg: [] }, "gold-silver": { egg: ["pound"] } } } };
+    const next = { bulbasaur: { id: 1, groups: { "red-blue": { egg: [] }, "gold-silver": { egg: [] }, "sword-shield": { egg: [] } } } };
+
+    assert.deepEqual(diffMaps(prev, next, ["groups"]).modified, {
+        bulbasaur: {
+            "groups.gold-silver": { before: { egg: ["pound"] }, after: { egg: [] } },
+            "groups.sword-shield": { before: null, after: { egg: [] } },
+        },
+    });
+
+    assert.deepEqual(Object.keys(diffMaps(prev, next).modified.bulbasaur), ["groups"]);
+});
+
+test("cada map publicado antepone su diff al changelog.json del dataset", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    const first = await runUpdater(pokemon, sb.options);
+
+    let changelog = sb.readJSON(pokemon, "changelog.json");
+    assert.equal(changelog.entries.length, 1);
+    assert.deepEqual(changelog.entries[0], {
+        version: "2026-08-01",
+        from: null,
+        to: first.fileName,
+        summary: { added: 3, removed: 0, modified: 0 },
+        added: ["bulbasaur", "charmander", "ivysaur"],
+        removed: [],
+        modified: {},
+    });
+
+    // Squirtle nuevo + Charmander con un tipo más (refresh)
+    const next = addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle);
+    next[`${API}/pokemon/charmander`].types.push({ slot: 2, type: { name: "dragon" } });
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-09-01");
+    sb.serve(next);
+    const second = await runUpdater(pokemon, sb.options);
+
+    assert.deepEqual(second.changes, { added: 1, removed: 0, modified: 1 });
+
+    changelog = sb.readJSON(pokemon, "changelog.json");
+    assert.deepEqual(changelog.entries.map((e) => e.version), ["2026-09-01", "2026-08-01"]);
+    assert.equal(changelog.entries[0].from, first.fileName);
+    assert.equal(changelog.entries[0].to, second.fileName);
+    assert.deepEqual(changelog.entries[0].added, ["squirtle"]);
+    assert.deepEqual(changelog.entries[0].modified, {
+        charmander: { types: { before: ["fire"], after: ["fire", "dragon"] } },
+    });
+});
+
+test("CHANGELOG_KEEP recorta las entradas viejas", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    let routes = loadRoutes("pokemon");
+
+    process.env.POKEMON_CHANGELOG_KEEP = "2";
+    t.after(() => delete process.env.POKEMON_CHANGELOG_KEEP);
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    for(const [date, name, id] of [["2026-09-01", "squirtle", 7], ["2026-10-01", "pikachu", 25]])
+    {
+        routes = addListEntry(routes, API, "pokemon", name, id, { id, name, types: [{ slot: 1, type: { name: "water" } }] });
+        sb.setToday(date);
+        sb.serve(routes);
+        await runUpdater(pokemon, sb.options);
+    }
+
+    assert.deepEqual(sb.readJSON(pokemon, "changelog.json").entries.map((e) => e.version), ["2026-10-01", "2026-09-01"]);
+});
+
+test("todo se valida antes de escribir: un changelog inválido no deja un map nuevo a medio publicar", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    const first = await runUpdater(pokemon, sb.options);
+
+    const changelog = sb.readJSON(pokemon, "changelog.json");
+    changelog.entries[0].added.push("Not_A_Key");
+    writeJSON(sb.path(pokemon, "changelog.json"), changelog);
+
+    sb.setToday("2026-09-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+    await assert.rejects(runUpdater(pokemon, sb.options), /changelog\.json/);
+
+    assert.deepEqual(sb.mapFiles(pokemon), [first.fileName]);
+    assert.equal(sb.readManifest(pokemon).pokemon_url, `/pokemon/${first.fileName}`);
+});
+
+test("si la corrida aborta antes del manifest, el changelog no anota el map que no se publicó", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    const first = await runUpdater(pokemon, sb.options);
+
+    // El manifest con las variantes ya no cumple su schema (count pisado por un objeto)
+    const broken = { ...pokemon, extraFiles: [{ file: "extra.json", variantsKey: "count" }], beforeManifest: (ctx) => writeJSON(join(ctx.dir, "extra.json"), {}) };
+    sb.setToday("2026-09-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+    await assert.rejects(runUpdater(broken, sb.options), /manifest\.json/);
+
+    assert.equal(sb.readManifest(pokemon).pokemon_url, `/pokemon/${first.fileName}`);
+    assert.deepEqual(sb.readJSON(pokemon, "changelog.json").entries.map((e) => e.to), [first.fileName]);
+});
+
+test("un map que solo cambió de formato no agrega una entrada vacía al changelog", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+
+    // Mismos datos con otro formato en disco + algo que marca ctx.changed
+    const published = sb.path(pokemon, sb.currentFile(pokemon));
+    writeFileSync(published, JSON.stringify(sb.readCurrentMap(pokemon)));
+    const touchy = { ...pokemon, prepare: (ctx) => { ctx.changed = true; } };
+
+    sb.setToday("2026-09-01");
+    const result = await runUpdater(touchy, sb.options);
+
+    assert.equal(result.version, "2026-09-01");
+    assert.equal(result.changes, null);
+    assert.deepEqual(sb.readJSON(pokemon, "changelog.json").entries.map((e) => e.version), ["2026-08-01"]);
+});
+
+test("si commitDataset aborta, los fallos de la corrida quedan en failures.json", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    delete routes[`${API}/pokemon/ivysaur`];
+
+    process.env.GUARD_MAX_FAILURE_RATIO = "0.5";
+    t.after(() => delete process.env.GUARD_MAX_FAILURE_RATIO);
+
+    const broken = { ...pokemon, validate: () => { throw new Error("validación rota"); } };
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await assert.rejects(runUpdater(broken, sb.options), /validación rota/);
+
+    assert.deepEqual(Object.keys(sb.readJSON(pokemon, "failures.json")), ["ivysaur"]);
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const pokemon = require("../scripts/datasets/pokemon");
+const abilities = require("../scripts/datasets/abilities");
+const items = require("../scripts/datasets/items");
+const { DEFAULT_NAME_LANGUAGES, getNameLanguages, pickNames, pickDisplay, hasNames, buildMissingSpanishReport } = require("../scripts/lib/names");
+
+const names = (es, en) => [
+    { language: { name: "en" }, name: en },
+    ...(es ? [{ language: { name: "es" }, name: es }] : []),
+];
+
+// names con todos los idiomas por default en null salvo los indicados
+function allNames(values)
+{
+    const out = {};
+    for(const lang of DEFAULT_NAME_LANGUAGES)
+    {
+        out[lang] = null;
+    }
+
+    return Object.assign(out, values);
+}
+
+const emptySprites = { front_default: null, front_shiny: null, official_artwork: null };
+
+test("buildPokemonRecord toma id y types en orden", () =>
+{
+    assert.deepEqual(pokemon.buildPokemonRecord({
+        id: 6,
+        types: [{ slot: 1, type: { name: "fire" } }, { slot: 2, type: { name: "flying" } }, { slot: 3, type: null }],
+    }), { id: 6, types: ["fire", "flying"], species: null, stats: {}, abilities: [], height: null, weight: null, sprites: emptySprites });
+
+    assert.deepEqual(pokemon.buildPokemonRecord(null), {
+        id: null,
+        types: [],
+        species: null,
+        stats: {},
+        abilities: [],
+        height: null,
+        weight: null,
+        sprites: emptySprites,
+    });
+});
+
+test("buildPokemonRecord arma stats, abilities por slot, species y sprites", () =>
+{
+    const record = pokemon.buildPokemonRecord({
+        id: 6,
+        types: [{ slot: 1, type: { name: "fire" } }],
+        species: { name: "charizard" },
+        stats: [
+            { base_stat: 78, stat: { name: "hp" } },
+            { base_stat: 100, stat: { name: "speed" } },
+            { base_stat: "x", stat: { name: "attack" } },
+        ],
+        abilities: [
+            { ability: { name: "solar-power" }, is_hidden: true, slot: 3 },
+            { ability: { name: "blaze" }, is_hidden: false, slot: 1 },
+            { ability: null, slot: 2 },
+        ],
+        height: 17,
+        weight: 905,
+        sprites: {
+            front_default: "https://example.test/6.png",
+            front_shiny: null,
+            other: { "official-artwork": { front_default: "https://example.test/art/6.png" } },
+        },
+    });
+
+    assert.equal(record.species, "charizard");
+    assert.deepEqual(record.stats, { hp: 78, speed: 100 });
+    assert.deepEqual(record.abilities, [
+        { slug: "blaze", hidden: false, slot: 1 },
+        { slug: "solar-power", hidden: true, slot: 3 },
+    ]);
+    assert.equal(record.height, 17);
+    assert.equal(record.weight, 905);
+    assert.deepEqual(record.sprites, { front_default: "https://example.test/6.png", front_shiny: null, official_artwork: "https://example.test/art/6.png" });
+});
+
+test("buildLocalizedRecord toma display de la especie y la etiqueta de la forma", () =>
+{
+    const base = pokemon.buildPokemonRecord({ id: 10034, types: [{ slot: 1, type: { name: "fire" } }], species: { name: "charizard" } });
+    const species = { names: names("Charizard", "Charizard") };
+    const form = {
+        form_name: "mega-x",
+        form_names: [{ language: { name: "en" }, name: "Mega Charizard X" }, { language: { name: "es" }, name: "Mega-Charizard X" }],
+    };
+
+    const record = pokemon.buildLocalizedRecord(base, species, form, "charizard-mega-x", ["es"]);
+    assert.deepEqual(Object.keys(record).slice(0, 7), ["id", "display", "display_lang", "types", "species", "form", "form_label"]);
+    assert.equal(record.display, "Charizard");
+    assert.equal(record.display_lang, "es");
+    assert.equal(record.form, "mega-x");
+    assert.equal(record.form_label, "Mega-Charizard X");
+
+    const noSpecies = pokemon.buildLocalizedRecord(pokemon.buildPokemonRecord({ id: 1 }), null, { form_name: "" }, "missingno", ["es"]);
+    assert.deepEqual([noSpecies.display, noSpecies.display_lang, noSpecies.form, noSpecies.form_label], ["missingno", "slug", null, null]);
+});
+
+test("pickFormName solo pide formas distintas de la base", () =>
+{
+    assert.equal(pokemon.pickFormName({ forms: [{ name: "charizard" }] }, "charizard"), null);
+    assert.equal(pokemon.pickFormName({ forms: [{ name: "charizard-mega-x" }] }, "charizard"), "charizard-mega-x");
+    assert.equal(pokemon.pickFormName({}, "charizard"), null);
+});
+
+test("needsPokemonRefresh migra registros sin los campos nuevos", (t) =>
+{
+    const ctx = { def: { envPrefix: "POKEMON_TEST" } };
+    const record = pokemon.buildLocalizedRecord(pokemon.buildPokemonRecord({ id: 1 }), null, null, "bulbasaur", ["es"]);
+
+    process.env.POKEMON_TEST_NAME_LANGUAGES = "es";
+    t.after(() => delete process.env.POKEMON_TEST_NAME_LANGUAGES);
+
+    assert.equal(pokemon.needsPokemonRefresh(record, ctx), false);
+    assert.equal(pokemon.needsPokemonRefresh({ id: 1, types: ["grass"], names: { es: "Bulbasaur" } }, ctx), true);
+    assert.equal(pokemon.needsPokemonRefresh({ ...pokemon.buildPokemonRecord({ id: 1 }), names: { es: "Bulbasaur" } }, ctx), true);
+    assert.equal(pokemon.needsPokemonRefresh({ ...record, names: {} }, ctx), true);
+});
+
+test("pickNameEsOrEn prefiere ES, después EN, después el slug", () =>
+{
+    assert.equal(abilities.pickNameEsOrEn({ name: "stench", names: names("Hedor", "Stench") }), "Hedor");
+    assert.equal(abilities.pickNameEsOrEn({ name: "as-one", names: names(null, "As One") }), "As One");
+    assert.equal(abilities.pickNameEsOrEn({ name: "mystery", names: [] }), "mystery");
+    assert.equal(abilities.pickNameEsOrEn(null), "");
+});
+
+test("buildAbilityRecord arma id + gen + display", () =>
+{
+    assert.deepEqual(abilities.buildAbilityRecord({
+        id: 2,
+        name: "drizzle",
+        generation: { name: "generation-iii" },
+        names: names("Llovizna", "Drizzle"),
+    }, "drizzle"), { id: 2, gen: "generation-iii", display: "Llovizna", display_lang: "es", names: allNames({ es: "Llovizna", en: "Drizzle" }) });
+
+    assert.deepEqual(abilities.buildAbilityRecord({}, "fallback"), { id: null, gen: null, display: "fallback", display_lang: "slug", names: allNames({}) });
+});
+
+test("pickLocalizedName prefiere ES y cae a EN / slug", () =>
+{
+    assert.equal(items.pickLocalizedName({ name: "potion", names: names("Poción", "Potion") }), "Poción");
+    assert.equal(items.pickLocalizedName({ name: "potion", names: names(null, "Potion") }), "Potion");
+    assert.equal(items.pickLocalizedName({ name: "potion", names: [] }), "potion");
+    assert.equal(items.pickLocalizedName(null), null);
+});
+
+test("buildItemRecord arma id + display + category", () =>
+{
+    assert.deepEqual(items.buildItemRecord({
+        id: 17,
+        name: "potion",
+        names: names("Poción", "Potion"),
+        category: { name: "healing" },
+    }), { id: 17, display: "Poción", display_lang: "es", names: allNames({ es: "Poción", en: "Potion" }), category: "healing" });
+
+    assert.deepEqual(items.buildItemRecord({ id: "17" }), { id: null, display: null, display_lang: null, names: allNames({}), category: null });
+});
+
+test("pickDisplay informa de qué idioma salió el display", () =>
+{
+    assert.deepEqual(pickDisplay({ names: names("Hedor", "Stench") }, ["es", "en"], "stench"), { display: "Hedor", display_lang: "es" });
+    assert.deepEqual(pickDisplay({ names: names(null, "Stench") }, ["es", "en"], "stench"), { display: "Stench", display_lang: "en" });
+    assert.deepEqual(pickDisplay({ names: [] }, ["es", "en"], "stench"), { display: "stench", display_lang: "slug" });
+    assert.deepEqual(pickDisplay({ names: names(null, "Pound") }, ["es"], null), { display: null, display_lang: null });
+});
+
+test("buildMissingSpanishReport lista lo que no está en español", () =>
+{
+    assert.deepEqual(buildMissingSpanishReport({
+        stench: { display: "Hedor", display_lang: "es", names: { es: "Hedor", en: "Stench" } },
+        mystery: { display: "mystery", display_lang: "slug", names: { es: null, en: null } },
+        "as-one": { display: "As One", display_lang: "en", names: { es: null, en: "As One" } },
+    }), {
+        count: 2,
+        entries: {
+            "as-one": { display: "As One", display_lang: "en", en: "As One" },
+            mystery: { display: "mystery", display_lang: "slug", en: null },
+        },
+    });
+});
+
+test("pickNames arma un nombre por idioma configurado, null si falta", () =>
+{
+    const json = {
+        names: [
+            { language: { name: "ja-Hrkt" }, name: "もうどく" },
+            { language: { name: "zh-Hans" }, name: "剧毒" },
+            { language: { name: "es" }, name: "Tóxico" },
+            { language: { name: "es" }, name: "Duplicado" },
+        ],
+    };
+
+    assert.deepEqual(pickNames(json, ["es", "zh-Hans", "ko"]), { es: "Tóxico", "zh-Hans": "剧毒", ko: null });
+    assert.deepEqual(pickNames(null, ["es"]), { es: null });
+});
+
+test("NAME_LANGUAGES configura los idiomas y hasNames detecta listas viejas", (t) =>
+{
+    t.after(() =>
+    {
+        delete process.env.NAME_LANGUAGES;
+        delete process.env.MOVES_NAME_LANGUAGES;
+    });
+
+    assert.deepEqual(getNameLanguages(abilities), DEFAULT_NAME_LANGUAGES);
+
+    process.env.NAME_LANGUAGES = " es, en ,es,";
+    process.env.MOVES_NAME_LANGUAGES = "es,fr";
+    assert.deepEqual(getNameLanguages(abilities), ["es", "en"]);
+    assert.deepEqual(getNameLanguages({ envPrefix: "MOVES" }), ["es", "fr"]);
+
+    assert.equal(hasNames({ names: { es: "Hedor", en: null } }, ["es", "en"]), true);
+    assert.equal(hasNames({ names: { es: "Hedor" } }, ["es", "en"]), false);
+    assert.equal(hasNames({ display: "Hedor" }, ["es", "en"]), false);
+});
@@ -0,0 +1,130 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { evaluateGuards, getGuardConfig } = require("../scripts/lib/guards");
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const { writeJSON } = require("../scripts/lib/io");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox, addListEntry } = require("./helpers/sandbox");
+
+const config = { maxFailureRatio: 0.1, minCountRatio: 0.9, allowRemovals: false, force: false };
+const stats = (added, refreshed, failed) => ({ added, refreshed, failed });
+
+test("evaluateGuards pasa con una corrida sana", () =>
+{
+    assert.deepEqual(evaluateGuards({
+        map: { a: { id: 1 }, b: { id: 2 } },
+        stats: stats(1, 0, 0),
+        previousKeys: ["a"],
+        requiredFields: ["id"],
+    }, config), []);
+});
+
+test("evaluateGuards detecta fallidos, achique, eliminadas y requeridos null", () =>
+{
+    const violations = evaluateGuards({
+        map: { a: { id: null } },
+        stats: stats(1, 0, 1),
+        previousKeys: ["a", "b", "c"],
+        requiredFields: ["id"],
+    }, config);
+
+    assert.equal(violations.length, 4);
+    assert.match(violations[0], /fallidos 1\/2/);
+    assert.match(violations[1], /entradas 1 < 3/);
+    assert.match(violations[2], /se eliminarían 2 entradas: b, c/);
+    assert.match(violations[3], /a\.id/);
+});
+
+test("evaluateGuards no chequea requeridos de registros que fallaron en la corrida", () =>
+{
+    assert.deepEqual(evaluateGuards({
+        map: { a: { id: 1, display: "A" }, b: { id: 2 } },
+        stats: stats(1, 0, 0),
+        previousKeys: ["a", "b"],
+        requiredFields: ["id", "display"],
+        failedKeys: ["b"],
+    }, config), []);
+});
+
+test("getGuardConfig lee overrides por dataset", (t) =>
+{
+    t.after(() =>
+    {
+        delete process.env.GUARD_MAX_FAILURE_RATIO;
+        delete process.env.POKEMON_GUARD_ALLOW_REMOVALS;
+    });
+
+    process.env.GUARD_MAX_FAILURE_RATIO = "0.2";
+    process.env.POKEMON_GUARD_ALLOW_REMOVALS = "1";
+
+    assert.deepEqual(getGuardConfig({ envPrefix: "POKEMON" }), {
+        maxFailureRatio: 0.2,
+        minCountRatio: 0.98,
+        allowRemovals: true,
+        force: false,
+    });
+    assert.equal(getGuardConfig({ envPrefix: "ITEMS" }).allowRemovals, false);
+});
+
+test("demasiados fallidos: no rota el manifest y conserva el archivo viejo", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+    const published = sb.currentFile(pokemon);
+
+    // Un Pokemon nuevo + refresh de todo con la mayoría de los detalles caídos
+    const broken = addListEntry(routes, API, "pokemon", "squirtle", 7, { id: 7, name: "squirtle", types: [{ type: { name: "water" } }] });
+    delete broken[`${API}/pokemon/bulbasaur`];
+    delete broken[`${API}/pokemon/ivysaur`];
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-09-01");
+    sb.serve(broken);
+    await assert.rejects(runUpdater(pokemon, sb.options), /Guardas de Pokemon no cumplidas/);
+
+    assert.deepEqual(sb.mapFiles(pokemon), [published]);
+    assert.equal(sb.readManifest(pokemon).pokemon_url, `/pokemon/${published}`);
+    assert.deepEqual(Object.keys(sb.readJSON(pokemon, "failures.json")), ["bulbasaur", "ivysaur"]);
+});
+
+test("migración: un registro que falla queda como estaba y no frena la rotación", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    // Map publicado antes de display / species: todo se vuelve a pedir, ivysaur falla
+    const legacy = sb.readCurrentMap(pokemon);
+    for(const name of Object.keys(legacy))
+    {
+        legacy[name] = { id: legacy[name].id, types: legacy[name].types };
+    }
+    writeJSON(sb.path(pokemon, sb.currentFile(pokemon)), legacy);
+
+    const broken = { ...routes };
+    delete broken[`${API}/pokemon-species/ivysaur`];
+
+    process.env.GUARD_MAX_FAILURE_RATIO = "0.5";
+    t.after(() => delete process.env.GUARD_MAX_FAILURE_RATIO);
+
+    sb.setToday("2026-08-02");
+    sb.serve(broken);
+    const result = await runUpdater(pokemon, sb.options);
+
+    assert.equal(result.version, "2026-08-02");
+    const map = sb.readCurrentMap(pokemon);
+    assert.equal(map.bulbasaur.display, "Bulbasaur");
+    assert.deepEqual(map.ivysaur, legacy.ivysaur);
+    assert.deepEqual(Object.keys(sb.readJSON(pokemon, "failures.json")), ["ivysaur"]);
+});
@@ -0,0 +1,164 @@
+"use strict";
+
+/*
+  Sandbox para tests end-to-end de los updaters:
+  - repo temporal con public/<dir>/manifest.json vacío por dataset
+  - fixtures de PokeAPI servidas con el modo replay de scripts/lib/fixtures.js
+  - fecha fija (UPDATER_TODAY) y consola silenciada
+  - NAME_LANGUAGES acotado a es,en,ja para que los registros esperados sean legibles
+*/
+
+const { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync, readdirSync, existsSync } = require("fs");
+const { join, dirname } = require("path");
+const { tmpdir } = require("os");
+
+const { urlToFixturePath, createFixtureFetch } = require("../../scripts/lib/fixtures");
+const { API, setFetch } = require("../../scripts/lib/http");
+const { versionedFileRegex } = require("../../scripts/lib/versions");
+
+function loadRoutes(name)
+{
+    return JSON.parse(readFileSync(join(__dirname, "..", "fixtures", `${name}.json`), "utf8"));
+}
+
+function createSandbox(t, defs)
+{
+    const root = mkdtempSync(join(tmpdir(), "competidex-data-"));
+    const fixturesDir = join(root, "fixtures");
+    const prevToday = process.env.UPDATER_TODAY;
+    const prevRetries = process.env.HTTP_RETRIES;
+    const prevLanguages = process.env.NAME_LANGUAGES;
+
+    process.env.HTTP_RETRIES = "0";
+    process.env.NAME_LANGUAGES = "es,en,ja";
+
+    for(const def of defs)
+    {
+        const dir = join(root, "public", def.dir);
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(join(dir, "manifest.json"), JSON.stringify({ version: null, [def.manifestKey]: null }, null, 2) + "\n");
+    }
+
+    t.mock.method(console, "log", () => {});
+    t.mock.method(console, "warn", () => {});
+
+    t.after(() =>
+    {
+        setFetch(null);
+        restoreEnv("UPDATER_TODAY", prevToday);
+        restoreEnv("HTTP_RETRIES", prevRetries);
+        restoreEnv("NAME_LANGUAGES", prevLanguages);
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    return {
+        root,
+
+        options: { repoRoot: root },
+
+        setToday(date)
+        {
+            process.env.UPDATER_TODAY = date;
+        },
+
+        serve(routes)
+        {
+            rmSync(fixturesDir, { recursive: true, force: true });
+
+            for(const [url, body] of Object.entries(routes))
+            {
+                const filePath = urlToFixturePath(fixturesDir, url);
+                mkdirSync(dirname(filePath), { recursive: true });
+                writeFileSync(filePath, JSON.stringify(body));
+            }
+
+            setFetch(createFixtureFetch(fixturesDir, "replay"));
+        },
+
+        path(def, fileName)
+        {
+            return join(root, "public", def.dir, fileName);
+        },
+
+        readJSON(def, fileName)
+        {
+            return JSON.parse(readFileSync(join(root, "public", def.dir, fileName), "utf8"));
+        },
+
+        exists(def, fileName)
+        {
+            return existsSync(join(root, "public", def.dir, fileName));
+        },
+
+        files(def)
+        {
+            return readdirSync(join(root, "public", def.dir)).sort();
+        },
+
+        // Solo los archivos versionados del map (<filePrefix>.YYYY-MM-DD[.<hash8>].json, sin variantes)
+        mapFiles(def)
+        {
+            const re = versionedFileRegex(def.filePrefix);
+            return this.files(def).filter((f) => re.test(f));
+        },
+
+        readManifest(def)
+        {
+            return this.readJSON(def, "manifest.json");
+        },
+
+        // Nombre del map al que apunta el manifest (<filePrefix>.YYYY-MM-DD.<hash8>.json)
+        currentFile(def)
+        {
+            const url = this.readManifest(def)[def.manifestKey];
+            return url ? url.split("/").pop() : null;
+        },
+
+        readCurrentMap(def)
+        {
+            return this.readJSON(def, this.currentFile(def));
+        },
+    };
+}
+
+function restoreEnv(name, value)
+{
+    if(typeof value === "undefined")
+    {
+        delete process.env[name];
+
+    }else
+    {
+        process.env[name] = value;
+    }
+}
+
+// Agrega una entrada nueva al listado de un recurso (simula que PokeAPI creció)
+function addListEntry(routes, api, resource, name, id, detail)
+{
+    const out = JSON.parse(JSON.stringify(routes));
+    const full = out[`${api}/${resource}?limit=100000`];
+
+    full.results.push({ name, url: `${api}/${resource}/${id}/` });
+    full.count = full.results.length;
+    out[`${api}/${resource}?limit=1`].count = full.count;
+    out[`${api}/${resource}/${name}`] = detail;
+
+    return out;
+}
+
+// Registro de pokemon esperado a partir de las fixtures (forma base, idiomas del sandbox)
+function expectedPokemon(routes, name)
+{
+    const pokemon = require("../../scripts/datasets/pokemon");
+    const base = pokemon.buildPokemonRecord(routes[`${API}/pokemon/${name}`]);
+
+    return pokemon.buildLocalizedRecord(base, routes[`${API}/pokemon-species/${base.species}`], null, name, ["es", "en", "ja"]);
+}
+
+module.exports = {
+    loadRoutes,
+    createSandbox,
+    addListEntry,
+    expectedPokemon,
+};
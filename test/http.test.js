@@ -0,0 +1,130 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { join } = require("path");
+
+const http = require("../scripts/lib/http");
+const { urlToFixturePath } = require("../scripts/lib/fixtures");
+
+function response(status, body, headers)
+{
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Map(Object.entries(headers || {})),
+        json: async () => body,
+    };
+}
+
+test.beforeEach((t) =>
+{
+    process.env.HTTP_RETRIES = "3";
+    process.env.HTTP_BACKOFF_MS = "0";
+    t.mock.method(console, "warn", () => {});
+});
+
+test.afterEach(() =>
+{
+    http.setFetch(null);
+    delete process.env.HTTP_RETRIES;
+    delete process.env.HTTP_BACKOFF_MS;
+    delete process.env.HTTP_TIMEOUT_MS;
+});
+
+test("parseRetryAfter acepta segundos y fechas HTTP", () =>
+{
+    const now = Date.parse("2026-08-01T00:00:00Z");
+
+    assert.equal(http.parseRetryAfter("2", now), 2000);
+    assert.equal(http.parseRetryAfter("Sat, 01 Aug 2026 00:00:05 GMT", now), 5000);
+    assert.equal(http.parseRetryAfter("Fri, 31 Jul 2026 00:00:00 GMT", now), 0);
+    assert.equal(http.parseRetryAfter("mañana", now), null);
+    assert.equal(http.parseRetryAfter(null, now), null);
+});
+
+test("computeBackoffMs respeta el tope", () =>
+{
+    const config = { backoffMs: 500, backoffMaxMs: 1000 };
+
+    for(let attempt = 0; attempt < 10; attempt++)
+    {
+        const ms = http.computeBackoffMs(attempt, config);
+        assert.ok(ms >= 0 && ms <= Math.min(1000, 500 * Math.pow(2, attempt)));
+    }
+});
+
+test("getJson reintenta 5xx, 429 y errores de red", async () =>
+{
+    const replies = [
+        () => response(503, {}),
+        () => { throw new TypeError("fetch failed"); },
+        () => response(429, {}, { "retry-after": "0" }),
+        () => response(200, { ok: true }),
+    ];
+    let calls = 0;
+
+    http.setFetch(async () => replies[calls++]());
+
+    assert.deepEqual(await http.getJson("https://pokeapi.co/api/v2/pokemon/bulbasaur"), { ok: true });
+    assert.equal(calls, 4);
+});
+
+test("getJson no reintenta 404 y corta al agotar reintentos", async () =>
+{
+    let calls = 0;
+    http.setFetch(async () => { calls++; return response(404, {}); });
+
+    await assert.rejects(http.getJson("https://pokeapi.co/api/v2/pokemon/missingno"), (e) => e.status === 404);
+    assert.equal(calls, 1);
+
+    calls = 0;
+    http.setFetch(async () => { calls++; return response(500, {}); });
+
+    await assert.rejects(http.getJson("https://pokeapi.co/api/v2/pokemon/bulbasaur"), (e) => e.status === 500);
+    assert.equal(calls, 4);
+});
+
+test("getJson corta por timeout con AbortController", async () =>
+{
+    process.env.HTTP_RETRIES = "0";
+    process.env.HTTP_TIMEOUT_MS = "20";
+
+    http.setFetch((url, init) => new Promise((resolve, reject) =>
+    {
+        init.signal.addEventListener("abort", () =>
+        {
+            const err = new Error("aborted");
+            err.name = "AbortError";
+            reject(err);
+        });
+    }));
+
+    await assert.rejects(http.getJson("https://pokeapi.co/api/v2/pokemon/bulbasaur"), (e) => e.timeout === true);
+});
+
+test("withPool procesa todo respetando la concurrencia", async () =>
+{
+    let active = 0;
+    let maxActive = 0;
+    const seen = [];
+
+    await http.withPool([1, 2, 3, 4, 5, 6, 7], 3, async (n, idx) =>
+    {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        seen[idx] = n;
+        active--;
+    });
+
+    assert.deepEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(maxActive, 3);
+});
+
+test("urlToFixturePath arma rutas estables por host + path + query", () =>
+{
+    assert.equal(urlToFixturePath("/fx", "https://pokeapi.co/api/v2/pokemon?limit=1"), join("/fx", "pokeapi.co", "api", "v2", "pokemon__limit=1.json"));
+    assert.equal(urlToFixturePath("/fx", "https://pokeapi.co/api/v2/machine/12/"), join("/fx", "pokeapi.co", "api", "v2", "machine", "12.json"));
+    assert.equal(urlToFixturePath("/fx", "https://play.pokemonshowdown.com/data/moves.json"), join("/fx", "play.pokemonshowdown.com", "data", "moves.json"));
+});
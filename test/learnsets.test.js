@@ -0,0 +1,120 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const learnsets = require("../scripts/datasets/learnsets");
+const moves = require("../scripts/datasets/moves");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+function detail(vg, method, level)
+{
+    return { level_learned_at: level || 0, move_learn_method: { name: method }, version_group: { name: vg } };
+}
+
+test("buildLearnsetRecord agrupa por version group y método, ordenado y sin repetidos", () =>
+{
+    const record = learnsets.buildLearnsetRecord({
+        id: 25,
+        moves: [
+            { move: { name: "thunder-shock" }, version_group_details: [detail("sword-shield", "level-up", 1), detail("red-blue", "level-up", 1)] },
+            { move: { name: "growl" }, version_group_details: [detail("sword-shield", "level-up", 1), detail("sword-shield", "level-up", 1)] },
+            { move: { name: "thunder-punch" }, version_group_details: [detail("sword-shield", "tutor"), detail("sword-shield", "machine")] },
+            { move: { name: "volt-tackle" }, version_group_details: [detail("sword-shield", "egg"), detail("sword-shield", "light-ball-egg")] },
+            { move: { name: "quick-attack" }, version_group_details: [detail("sword-shield", "level-up", 0)] },
+        ],
+    });
+
+    assert.deepEqual(record, {
+        id: 25,
+        groups: {
+            "red-blue": { level_up: [{ move: "thunder-shock", level: 1 }], machine: [], tutor: [], egg: [] },
+            "sword-shield": {
+                level_up: [
+                    { move: "quick-attack", level: 0 },
+                    { move: "growl", level: 1 },
+                    { move: "thunder-shock", level: 1 },
+                ],
+                machine: ["thunder-punch"],
+                tutor: ["thunder-punch"],
+                egg: ["volt-tackle"],
+            },
+        },
+    });
+
+    assert.deepEqual(learnsets.buildLearnsetRecord(null), { id: null, groups: {} });
+});
+
+test("findUnknownMoves lista moves que no están en move_es_map", () =>
+{
+    const map = {
+        pikachu: { id: 25, groups: { "red-blue": { level_up: [{ move: "growl", level: 1 }], machine: ["fly"], tutor: [], egg: [] } } },
+    };
+
+    assert.deepEqual(learnsets.findUnknownMoves(map, new Set(["growl"])), ["fly"]);
+    assert.deepEqual(learnsets.findUnknownMoves(map, new Set(["growl", "fly"])), []);
+});
+
+test("learnsets: se publican desde /pokemon verificando las claves contra move_es_map", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = { ...loadRoutes("moves"), ...loadRoutes("pokemon") };
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+    await runUpdater(learnsets, sb.options);
+
+    assert.match(sb.readManifest(learnsets).learnsets_url, /^\/learnsets\/learnset_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+
+    const map = sb.readCurrentMap(learnsets);
+    assert.deepEqual(Object.keys(map), ["bulbasaur", "ivysaur", "charmander"]);
+    assert.deepEqual(map.bulbasaur.groups["sword-shield"], { level_up: [], machine: ["swords-dance"], tutor: [], egg: ["pound"] });
+    assert.deepEqual(map.charmander.groups["red-blue"], { level_up: [{ move: "pound", level: 1 }], machine: [], tutor: ["thunder-punch"], egg: [] });
+});
+
+test("learnsets: el changelog guarda solo el version group que cambió", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = { ...loadRoutes("moves"), ...loadRoutes("pokemon") };
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+    await runUpdater(learnsets, sb.options);
+
+    routes[`${API}/pokemon/charmander`].moves.push({
+        move: { name: "swords-dance" },
+        version_group_details: [detail("sword-shield", "machine")],
+    });
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-08-02");
+    sb.serve(routes);
+    await runUpdater(learnsets, sb.options);
+
+    assert.deepEqual(sb.readJSON(learnsets, "changelog.json").entries[0].modified, {
+        charmander: {
+            "groups.sword-shield": { before: null, after: { level_up: [], machine: ["swords-dance"], tutor: [], egg: [] } },
+        },
+    });
+});
+
+test("learnsets: un move que falta en move_es_map aborta sin publicar", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = { ...loadRoutes("moves"), ...loadRoutes("pokemon") };
+    routes[`${API}/pokemon/ivysaur`].moves.push({
+        move: { name: "razor-leaf" },
+        version_group_details: [detail("red-blue", "level-up", 27)],
+    });
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+
+    await assert.rejects(runUpdater(learnsets, sb.options), /razor-leaf/);
+    assert.equal(sb.readManifest(learnsets).learnsets_url, null);
+});
@@ -0,0 +1,257 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const moves = require("../scripts/datasets/moves");
+
+test("toSpanishMachineName traduce MT / DT / MO", () =>
+{
+    assert.equal(moves.toSpanishMachineName("tm01"), "MT01");
+    assert.equal(moves.toSpanishMachineName("tr12"), "DT12");
+    assert.equal(moves.toSpanishMachineName("hm05"), "MO05");
+    assert.equal(moves.toSpanishMachineName("tm100"), "MT100");
+    assert.equal(moves.toSpanishMachineName("tmx"), "TMX");
+    assert.equal(moves.toSpanishMachineName(null), "");
+});
+
+test("upsertMachineIndexEntry ignora machines incompletas", () =>
+{
+    const index = {};
+
+    assert.equal(moves.upsertMachineIndexEntry(index, { item: { name: "tm01" } }), false);
+    assert.equal(moves.upsertMachineIndexEntry(index, {
+        item: { name: "tm01" },
+        move: { name: "mega-punch" },
+        version_group: { name: "red-blue" },
+    }), true);
+
+    assert.deepEqual(index, { "mega-punch": { "red-blue": { machine: "tm01", machine_es: "MT01" } } });
+});
+
+test("buildMachinesByGroup solo incluye grupos presentes en el índice", () =>
+{
+    const machineIndex = {
+        "swords-dance": {
+            "red-blue": { machine: "tm03", machine_es: "MT03" },
+            "x-y": { machine: "tm75", machine_es: "MT75" },
+        },
+    };
+
+    const moveJson = {
+        machines: [
+            { version_group: { name: "red-blue" } },
+            { version_group: { name: "sword-shield" } },
+            { version_group: null },
+        ],
+    };
+
+    assert.deepEqual(moves.buildMachinesByGroup("swords-dance", machineIndex, moveJson), {
+        "red-blue": { machine: "tm03", machine_es: "MT03" },
+    });
+    assert.deepEqual(moves.buildMachinesByGroup("pound", machineIndex, moveJson), {});
+});
+
+test("mergeMachineIndexes agrega y pisa por grupo", () =>
+{
+    const target = { "pound": { "red-blue": { machine: "tm01", machine_es: "MT01" } } };
+    const out = moves.mergeMachineIndexes(target, {
+        "pound": { "red-blue": { machine: "tm02", machine_es: "MT02" }, "yellow": { machine: "tm01", machine_es: "MT01" } },
+        "cut": { "red-blue": { machine: "hm01", machine_es: "MO01" } },
+    });
+
+    assert.equal(out, target);
+    assert.deepEqual(out, {
+        "pound": {
+            "red-blue": { machine: "tm02", machine_es: "MT02" },
+            "yellow": { machine: "tm01", machine_es: "MT01" },
+        },
+        "cut": { "red-blue": { machine: "hm01", machine_es: "MO01" } },
+    });
+    assert.deepEqual(moves.mergeMachineIndexes(null, null), {});
+});
+
+test("applyMachineIndexDeltaToMoves solo toca moves existentes", () =>
+{
+    const esMap = {
+        "pound": { id: 1, machinesByGroup: {} },
+        "cut": { id: 15 },
+    };
+
+    const touched = moves.applyMachineIndexDeltaToMoves(esMap, {
+        "pound": { "red-blue": { machine: "tm01", machine_es: "MT01" } },
+        "cut": { "red-blue": { machine: "hm01", machine_es: "MO01" }, "yellow": { machine: "hm01", machine_es: "MO01" } },
+        "fly": { "red-blue": { machine: "hm02", machine_es: "MO02" } },
+    });
+
+    assert.equal(touched, 3);
+    assert.deepEqual(esMap.pound.machinesByGroup, { "red-blue": { machine: "tm01", machine_es: "MT01" } });
+    assert.deepEqual(Object.keys(esMap.cut.machinesByGroup), ["red-blue", "yellow"]);
+    assert.equal(esMap.fly, undefined);
+});
+
+test("needsMoveRefresh detecta schema viejo, names desactualizados y display null", (t) =>
+{
+    const record = {
+        id: 1,
+        display: "Destructor",
+        display_lang: "es",
+        type: "normal",
+        damage_class: "physical",
+        isContact: true,
+        power: 40,
+        accuracy: 100,
+        pp: 35,
+        priority: 0,
+        target: "selected-pokemon",
+        effect_chance: null,
+        meta: null,
+        stat_changes: [],
+        effect: "Inflicts regular damage with no additional effect.",
+        effect_lang: "en",
+        flavor_text: null,
+        flavor_text_lang: null,
+        machinesByGroup: {},
+        names: { es: "Destructor", en: "Pound" },
+    };
+    const ctx = { def: { envPrefix: "MOVES_TEST" } };
+
+    process.env.MOVES_TEST_NAME_LANGUAGES = "es,en";
+    t.after(() => delete process.env.MOVES_TEST_NAME_LANGUAGES);
+
+    assert.equal(moves.isMoveV2Record(record), true);
+    assert.equal(moves.needsMoveRefresh(record, ctx), false);
+    assert.equal(moves.needsMoveRefresh({ ...record, names: { es: "Destructor" } }, ctx), true);
+    assert.equal(moves.needsMoveRefresh({ ...record, display: null }), true);
+    const { priority, ...withoutPriority } = record;
+    assert.equal(priority, 0);
+    assert.equal(moves.isMoveV4Record(withoutPriority), false);
+    assert.equal(moves.needsMoveRefresh(withoutPriority, ctx), true);
+    delete record.display_lang;
+    assert.equal(moves.needsMoveRefresh(record, ctx), true);
+    assert.equal(moves.needsMoveRefresh({ id: 1, display: "Destructor", type: "normal" }), true);
+    assert.equal(moves.needsMoveRefresh(null), true);
+});
+
+test("getIsContact usa el índice de Showdown normalizado", () =>
+{
+    const index = moves.buildShowdownIndex({
+        thunderpunch: { flags: { contact: 1, punch: 1 } },
+        swordsdance: { flags: { snatch: 1 } },
+    });
+
+    assert.equal(moves.getIsContact(index, "thunder-punch"), true);
+    assert.equal(moves.getIsContact(index, "swords-dance"), false);
+    assert.equal(moves.getIsContact(index, "unknown-move"), null);
+});
+
+test("getFlags expone todos los flags de Showdown como booleanos", () =>
+{
+    const index = moves.buildShowdownIndex({
+        thunderpunch: { flags: { punch: 1, contact: 1, protect: 1, mirror: 0 } },
+        splash: { flags: {} },
+        hiddenpower: {},
+    });
+
+    assert.deepEqual(moves.getFlags(index, "thunder-punch"), { contact: true, protect: true, punch: true });
+    assert.deepEqual(Object.keys(moves.getFlags(index, "thunder-punch")), ["contact", "protect", "punch"]);
+    assert.deepEqual(moves.getFlags(index, "splash"), {});
+    assert.deepEqual(moves.getFlags(index, "hidden-power"), {});
+    assert.equal(moves.getFlags(index, "unknown-move"), null);
+});
+
+test("buildMoveRecord arma el registro completo", () =>
+{
+    const showdownIndex = moves.buildShowdownIndex({ thunderpunch: { flags: { contact: 1 } } });
+    const machineIndex = { "thunder-punch": { "red-blue": { machine: "tm01", machine_es: "MT01" } } };
+
+    const record = moves.buildMoveRecord({
+        id: 9,
+        name: "thunder-punch",
+        names: [{ language: { name: "en" }, name: "Thunder Punch" }, { language: { name: "es" }, name: "Puño Trueno" }],
+        type: { name: "electric" },
+        damage_class: { name: "physical" },
+        power: 75,
+        accuracy: 100,
+        pp: 15,
+        priority: 0,
+        target: { name: "selected-pokemon" },
+        effect_chance: 10,
+        meta: { ailment: { name: "paralysis" }, ailment_chance: 10, category: { name: "damage+ailment" }, crit_rate: 0, drain: 0, flinch_chance: 0, healing: 0, stat_chance: 0 },
+        stat_changes: [],
+        effect_entries: [{ language: { name: "en" }, short_effect: "Has a $effect_chance% chance to paralyze the target." }],
+        flavor_text_entries: [{ language: { name: "es" }, flavor_text: "Puñetazo eléctrico.\fPuede paralizar." }],
+        machines: [{ version_group: { name: "red-blue" } }],
+    }, showdownIndex, machineIndex, ["es", "en", "fr"]);
+
+    assert.deepEqual(record, {
+        id: 9,
+        display: "Puño Trueno",
+        display_lang: "es",
+        names: { es: "Puño Trueno", en: "Thunder Punch", fr: null },
+        type: "electric",
+        damage_class: "physical",
+        isContact: true,
+        flags: { contact: true },
+        power: 75,
+        accuracy: 100,
+        pp: 15,
+        priority: 0,
+        target: "selected-pokemon",
+        effect_chance: 10,
+        meta: {
+            ailment: "paralysis",
+            ailment_chance: 10,
+            category: "damage+ailment",
+            crit_rate: 0,
+            drain: 0,
+            flinch_chance: 0,
+            healing: 0,
+            min_hits: null,
+            max_hits: null,
+            min_turns: null,
+            max_turns: null,
+            stat_chance: 0,
+        },
+        stat_changes: [],
+        effect: "Has a 10% chance to paralyze the target.",
+        effect_lang: "en",
+        flavor_text: "Puñetazo eléctrico. Puede paralizar.",
+        flavor_text_lang: "es",
+        machinesByGroup: { "red-blue": { machine: "tm01", machine_es: "MT01" } },
+    });
+});
+
+test("pickEffect / pickFlavorText prefieren ES, caen a EN y toman el flavor más nuevo", () =>
+{
+    const mv = {
+        effect_chance: 30,
+        effect_entries: [
+            { language: { name: "en" }, short_effect: "Has a $effect_chance% chance to burn." },
+            { language: { name: "es" }, short_effect: "Tiene un $effect_chance% de quemar." },
+        ],
+        flavor_text_entries: [
+            { language: { name: "es" }, flavor_text: "Vieja\ndescripción." },
+            { language: { name: "en" }, flavor_text: "English text." },
+            { language: { name: "es" }, flavor_text: "Descrip\u00ad\nción nueva." },
+        ],
+    };
+
+    assert.deepEqual(moves.pickEffect(mv), { text: "Tiene un 30% de quemar.", lang: "es" });
+    assert.deepEqual(moves.pickFlavorText(mv), { text: "Descripción nueva.", lang: "es" });
+    assert.deepEqual(moves.pickFlavorText({ flavor_text_entries: [{ language: { name: "en" }, flavor_text: "Only\fEN" }] }), { text: "Only EN", lang: "en" });
+    assert.deepEqual(moves.pickEffect(null), { text: null, lang: null });
+
+    // Fuera de orden: gana el version group de id más alto, no el último de la lista
+    const vg = (id) => ({ name: `vg-${id}`, url: `https://pokeapi.co/api/v2/version-group/${id}/` });
+    assert.deepEqual(moves.pickFlavorText({
+        flavor_text_entries: [
+            { language: { name: "es" }, version_group: vg(20), flavor_text: "Más nueva." },
+            { language: { name: "es" }, version_group: vg(3), flavor_text: "Vieja." },
+            { language: { name: "es" }, version_group: vg(11), flavor_text: "Intermedia." },
+        ],
+    }), { text: "Más nueva.", lang: "es" });
+
+    assert.equal(moves.buildMoveMeta({}), null);
+    assert.deepEqual(moves.buildStatChanges({ stat_changes: [{ stat: { name: "attack" }, change: 2 }, { stat: null, change: 1 }] }), [{ stat: "attack", change: 2 }]);
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { join } = require("path");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { writeJSON } = require("../scripts/lib/io");
+const { API, setFetch } = require("../scripts/lib/http");
+const { applyOverride, applyOverrides, findUnknownOverrideKeys } = require("../scripts/lib/overrides");
+const abilities = require("../scripts/datasets/abilities");
+const moves = require("../scripts/datasets/moves");
+const { createFixtureFetch } = require("../scripts/lib/fixtures");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+test("applyOverride pisa campos enteros y marca display_lang", () =>
+{
+    const record = { id: 266, display: "As One", display_lang: "en", names: { es: null, en: "As One" } };
+
+    assert.deepEqual(applyOverride(record, { display: "Unidad Ecuestre" }), {
+        id: 266,
+        display: "Unidad Ecuestre",
+        display_lang: "override",
+        names: { es: null, en: "As One" },
+    });
+    assert.deepEqual(applyOverride(record, { names: { es: "Unidad Ecuestre" } }).names, { es: "Unidad Ecuestre" });
+    assert.deepEqual(applyOverride({ id: 1, types: ["grass"] }, { display: "x" }), { id: 1, types: ["grass"], display: "x" });
+    assert.equal(applyOverride(record, null), record);
+});
+
+test("applyOverrides devuelve solo lo que cambió y findUnknownOverrideKeys las claves de más", () =>
+{
+    const map = { stench: { id: 1, display: "Hedor" }, drizzle: { id: 2, display: "Llovizna" } };
+    const overrides = { stench: { display: "Hedor" }, drizzle: { display: "Llovizna!" }, fly: { display: "Vuelo" } };
+
+    assert.deepEqual(applyOverrides(map, overrides), ["drizzle"]);
+    assert.equal(map.drizzle.display, "Llovizna!");
+    assert.deepEqual(findUnknownOverrideKeys(map, overrides), ["fly"]);
+});
+
+test("overrides: se aplican sin cambios en PokeAPI y sobreviven al refresco", async (t) =>
+{
+    const sb = createSandbox(t, [abilities]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("abilities"));
+    await runUpdater(abilities, sb.options);
+
+    writeJSON(sb.path(abilities, "overrides.json"), { "as-one-glastrier": { display: "Unidad Ecuestre" } });
+
+    sb.setToday("2026-08-02");
+    assert.notEqual(await runUpdater(abilities, sb.options), null);
+    assert.deepEqual(sb.readCurrentMap(abilities)["as-one-glastrier"], {
+        id: 266,
+        gen: "generation-viii",
+        display: "Unidad Ecuestre",
+        display_lang: "override",
+        names: { es: null, en: "As One", ja: null },
+    });
+    assert.deepEqual(sb.readJSON(abilities, "missing_es.json"), { count: 0, entries: {} });
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-08-03");
+    assert.equal(await runUpdater(abilities, sb.options), null);
+    assert.equal(sb.readCurrentMap(abilities)["as-one-glastrier"].display, "Unidad Ecuestre");
+});
+
+test("overrides: una clave que no existe aborta sin rotar", async (t) =>
+{
+    const sb = createSandbox(t, [abilities]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("abilities"));
+    await runUpdater(abilities, sb.options);
+    const before = sb.readManifest(abilities);
+
+    writeJSON(sb.path(abilities, "overrides.json"), { stench: { display: "Hedor!" }, "no-existe": { display: "x" } });
+
+    sb.setToday("2026-08-02");
+    await assert.rejects(runUpdater(abilities, sb.options), /no-existe/);
+    assert.deepEqual(sb.readManifest(abilities), before);
+});
+
+test("moves: un display null corregido a mano no se vuelve a pedir", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = loadRoutes("moves");
+    const pound = `${API}/move/pound`;
+    routes[pound].names = routes[pound].names.filter((n) => n.language.name !== "es");
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+    assert.equal(sb.readCurrentMap(moves).pound.display, null);
+
+    writeJSON(sb.path(moves, "overrides.json"), { pound: { display: "Destructor" } });
+
+    const fixtureFetch = createFixtureFetch(join(sb.root, "fixtures"), "replay");
+    const requested = [];
+    setFetch((url, init) =>
+    {
+        requested.push(String(url));
+        return fixtureFetch(url, init);
+    });
+
+    sb.setToday("2026-08-02");
+    await runUpdater(moves, sb.options);
+
+    assert.deepEqual(requested.filter((url) => url === pound), []);
+    assert.equal(sb.readCurrentMap(moves).pound.display, "Destructor");
+    assert.equal(sb.readCurrentMap(moves).pound.display_lang, "override");
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mkdtempSync, readFileSync, readdirSync, rmSync } = require("fs");
+const { join } = require("path");
+const { tmpdir } = require("os");
+const { createHash } = require("crypto");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const { diffMaps } = require("../scripts/lib/diff");
+const { planPatches, writePatches } = require("../scripts/lib/patches");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox, addListEntry } = require("./helpers/sandbox");
+
+function applyPatch(map, patch)
+{
+    const out = JSON.parse(JSON.stringify(map));
+
+    for(const key of patch.remove)
+    {
+        delete out[key];
+    }
+
+    return Object.assign(out, patch.upsert);
+}
+
+function water(name, id)
+{
+    return { id, name, types: [{ slot: 1, type: { name: "water" } }] };
+}
+
+function sha(n)
+{
+    return String(n).repeat(64).slice(0, 64);
+}
+
+test("cada rotación publica patches desde las versiones anteriores directo a la actual", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    let routes = loadRoutes("pokemon");
+    const maps = [];
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+    maps.push(sb.readCurrentMap(pokemon));
+
+    routes = addListEntry(routes, API, "pokemon", "squirtle", 7, water("squirtle", 7));
+    routes[`${API}/pokemon/charmander`].types.push({ slot: 2, type: { name: "dragon" } });
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-09-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+    maps.push(sb.readCurrentMap(pokemon));
+
+    sb.setToday("2026-10-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "psyduck", 54, water("psyduck", 54)));
+    await runUpdater(pokemon, sb.options);
+
+    const manifest = sb.readManifest(pokemon);
+    const current = sb.readCurrentMap(pokemon);
+
+    assert.deepEqual(manifest.patches.map((p) => p.from_version), ["2026-09-01", "2026-08-01"]);
+
+    for(let i = 0; i < manifest.patches.length; i++)
+    {
+        const entry = manifest.patches[i];
+        const content = readFileSync(sb.path(pokemon, entry.url.replace("/pokemon/", "")));
+        const patch = JSON.parse(content);
+
+        assert.equal(entry.sha256, createHash("sha256").update(content).digest("hex"));
+        assert.equal(entry.bytes, content.length);
+        assert.equal(patch.to.sha256, manifest.sha256);
+        assert.equal(patch.to.count, Object.keys(current).length);
+
+        // Aplicado sobre el map de origen da exactamente el actual
+        assert.deepEqual(applyPatch(maps[maps.length - 1 - i], patch), current);
+    }
+
+    // El compuesto 08-01 -> 10-01 incluye lo que cambió en el medio, no solo el último paso
+    const composed = JSON.parse(readFileSync(sb.path(pokemon, manifest.patches[1].url.replace("/pokemon/", ""))));
+    assert.deepEqual(Object.keys(composed.upsert), ["charmander", "squirtle", "psyduck"]);
+
+    // Solo quedan en disco los patches referenciados
+    assert.equal(readdirSync(sb.path(pokemon, "patches")).length, 2);
+});
+
+test("PATCH_KEEP limita los orígenes y 0 desactiva los patches", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    let routes = loadRoutes("pokemon");
+
+    process.env.POKEMON_PATCH_KEEP = "1";
+    t.after(() => delete process.env.POKEMON_PATCH_KEEP);
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    for(const [date, name, id] of [["2026-09-01", "squirtle", 7], ["2026-10-01", "psyduck", 54]])
+    {
+        routes = addListEntry(routes, API, "pokemon", name, id, water(name, id));
+        sb.setToday(date);
+        sb.serve(routes);
+        await runUpdater(pokemon, sb.options);
+    }
+
+    assert.deepEqual(sb.readManifest(pokemon).patches.map((p) => p.from_version), ["2026-09-01"]);
+
+    process.env.POKEMON_PATCH_KEEP = "0";
+    sb.setToday("2026-11-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "golduck", 55, water("golduck", 55)));
+    await runUpdater(pokemon, sb.options);
+
+    assert.deepEqual(sb.readManifest(pokemon).patches, []);
+    assert.deepEqual(readdirSync(sb.path(pokemon, "patches")), []);
+});
+
+test("planPatches compone borrados y re-altas sin necesitar el map de origen", (t) =>
+{
+    const dir = mkdtempSync(join(tmpdir(), "competidex-patches-"));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    const v1 = { version: "2026-08-01", file: "pokemon_map.2026-08-01.11111111.json", sha256: sha(1) };
+    const v2 = { version: "2026-09-01", file: "pokemon_map.2026-09-01.22222222.json", sha256: sha(2) };
+    const v3 = { version: "2026-10-01", file: "pokemon_map.2026-10-01.33333333.json", sha256: sha(3), count: 2 };
+
+    // v1 -> v2: se borró ivysaur y se agregó squirtle
+    const first = planPatches({
+        def: pokemon,
+        dir,
+        manifest: {},
+        prev: v1,
+        next: Object.assign({}, v2, { count: 2 }),
+        map: { bulbasaur: { id: 1, types: ["grass"] }, squirtle: { id: 7, types: ["water"] } },
+        diff: { added: ["squirtle"], removed: ["ivysaur"], modified: {} },
+    }, { keep: 6 });
+    writePatches(dir, first);
+
+    // v2 -> v3: vuelve ivysaur y se borra squirtle
+    const prevMap = { bulbasaur: { id: 1, types: ["grass"] }, squirtle: { id: 7, types: ["water"] } };
+    const nextMap = { bulbasaur: { id: 1, types: ["grass"] }, ivysaur: { id: 2, types: ["grass", "poison"] } };
+
+    const planned = planPatches({
+        def: pokemon,
+        dir,
+        manifest: { patches: first.map((p) => p.entry) },
+        prev: v2,
+        next: v3,
+        map: nextMap,
+        diff: diffMaps(prevMap, nextMap),
+    }, { keep: 6 });
+
+    const composed = JSON.parse(planned[1].content);
+    assert.deepEqual(composed.from, v1);
+    assert.deepEqual(composed.upsert, { ivysaur: { id: 2, types: ["grass", "poison"] } });
+    assert.deepEqual(composed.remove, ["squirtle"]);
+
+    const v1Map = { bulbasaur: { id: 1, types: ["grass"] }, ivysaur: { id: 2, types: ["grass"] } };
+    assert.deepEqual(applyPatch(v1Map, composed), nextMap);
+
+    // Un patch que no termina en el previo no se compone
+    assert.equal(planPatches({
+        def: pokemon,
+        dir,
+        manifest: { patches: first.map((p) => p.entry) },
+        prev: Object.assign({}, v2, { sha256: sha(9) }),
+        next: v3,
+        map: nextMap,
+        diff: diffMaps(prevMap, nextMap),
+    }, { keep: 6 }).length, 1);
+});
+
+test("planPatches no arma patches X -> X", (t) =>
+{
+    const dir = mkdtempSync(join(tmpdir(), "competidex-patches-"));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    const v1 = { version: "2026-08-01", file: "pokemon_map.2026-08-01.11111111.json", sha256: sha(1) };
+    const v2 = { version: "2026-09-01", file: "pokemon_map.2026-09-01.22222222.json", sha256: sha(2) };
+    const v1Map = { bulbasaur: { id: 1, types: ["grass"] } };
+    const v2Map = { bulbasaur: { id: 1, types: ["grass", "poison"] } };
+
+    // Mismo contenido que el previo
+    assert.deepEqual(planPatches({
+        def: pokemon,
+        dir,
+        manifest: {},
+        prev: v1,
+        next: Object.assign({}, v1, { version: "2026-09-01", count: 1 }),
+        map: v1Map,
+        diff: diffMaps(v1Map, v1Map),
+    }, { keep: 6 }), []);
+
+    // v1 -> v2 y después v2 -> v1: la composición v1 -> v1 no se publica
+    const first = planPatches({
+        def: pokemon,
+        dir,
+        manifest: {},
+        prev: v1,
+        next: Object.assign({}, v2, { count: 1 }),
+        map: v2Map,
+        diff: diffMaps(v1Map, v2Map),
+    }, { keep: 6 });
+    writePatches(dir, first);
+
+    const back = planPatches({
+        def: pokemon,
+        dir,
+        manifest: { patches: first.map((p) => p.entry) },
+        prev: v2,
+        next: { version: "2026-10-01", file: "pokemon_map.2026-10-01.11111111.json", sha256: sha(1), count: 1 },
+        map: v1Map,
+        diff: diffMaps(v2Map, v1Map),
+    }, { keep: 6 });
+
+    assert.deepEqual(back.map((p) => p.entry.from_sha256), [sha(2)]);
+});
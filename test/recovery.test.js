@@ -0,0 +1,87 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { writeFileSync, readdirSync, mkdtempSync, rmSync } = require("fs");
+const { join } = require("path");
+const { tmpdir } = require("os");
+
+const { writeJSON, readJSON } = require("../scripts/lib/io");
+const { recoverDataset } = require("../scripts/lib/recovery");
+const { runUpdater } = require("../scripts/lib/updater");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox, expectedPokemon } = require("./helpers/sandbox");
+
+test("writeJSON es atómico y no deja temporales", (t) =>
+{
+    const dir = mkdtempSync(join(tmpdir(), "competidex-io-"));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    writeJSON(join(dir, "a.json"), { a: 1 });
+    writeJSON(join(dir, "a.json"), { a: 2 });
+
+    assert.deepEqual(readdirSync(dir), ["a.json"]);
+    assert.deepEqual(readJSON(join(dir, "a.json")), { a: 2 });
+});
+
+test("recoverDataset borra temporales y repunta a un map legible si el actual falta", (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = join(sb.root, "public", "pokemon");
+
+    writeJSON(join(dir, "pokemon_map.2026-07-01.json"), { bulbasaur: { id: 1, types: ["grass"] } });
+    writeFileSync(join(dir, "pokemon_map.2026-08-01.json"), "{\"bulbasaur\": {\"id\"");
+    writeFileSync(join(dir, "manifest.json.tmp-123"), "{");
+    writeJSON(join(dir, "manifest.json"), { version: "2026-08-01", pokemon_url: "/pokemon/pokemon_map.2026-08-01.json" });
+
+    const repairs = recoverDataset(pokemon, dir, join(dir, "manifest.json"));
+
+    assert.equal(repairs.length, 3);
+    assert.deepEqual(sb.readManifest(pokemon), { version: "2026-07-01", pokemon_url: "/pokemon/pokemon_map.2026-07-01.json" });
+    assert.equal(sb.exists(pokemon, "manifest.json.tmp-123"), false);
+});
+
+test("recoverDataset rearma un manifest truncado", (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = join(sb.root, "public", "pokemon");
+
+    writeJSON(join(dir, "pokemon_map.2026-08-01.json"), { bulbasaur: { id: 1, types: ["grass"] } });
+    writeFileSync(join(dir, "manifest.json"), "{\"version\": \"2026-0");
+
+    recoverDataset(pokemon, dir, join(dir, "manifest.json"));
+
+    assert.deepEqual(sb.readManifest(pokemon), { version: "2026-08-01", pokemon_url: "/pokemon/pokemon_map.2026-08-01.json" });
+});
+
+test("recoverDataset no toca un estado consistente", (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = join(sb.root, "public", "pokemon");
+
+    writeJSON(join(dir, "pokemon_map.2026-08-01.json"), {});
+    writeJSON(join(dir, "manifest.json"), { version: "2026-08-01", pokemon_url: "/pokemon/pokemon_map.2026-08-01.json" });
+
+    assert.deepEqual(recoverDataset(pokemon, dir, join(dir, "manifest.json")), []);
+});
+
+test("updater: con el map actual faltante arranca del último map legible, no de cero", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = join(sb.root, "public", "pokemon");
+    const routes = loadRoutes("pokemon");
+
+    // Estado tras un corte: manifest ya apunta al nuevo, pero el nuevo nunca llegó a escribirse
+    writeJSON(join(dir, "pokemon_map.2026-07-01.json"), {
+        bulbasaur: expectedPokemon(routes, "bulbasaur"),
+        ivysaur: expectedPokemon(routes, "ivysaur"),
+        charmander: expectedPokemon(routes, "charmander"),
+    });
+    writeJSON(join(dir, "manifest.json"), { version: "2026-08-01", pokemon_url: "/pokemon/pokemon_map.2026-08-01.json" });
+
+    sb.setToday("2026-08-02");
+    sb.serve(routes);
+
+    assert.equal(await runUpdater(pokemon, sb.options), null);
+    assert.equal(sb.readManifest(pokemon).pokemon_url, "/pokemon/pokemon_map.2026-07-01.json");
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { API } = require("../scripts/lib/http");
+const reference = require("../scripts/datasets/reference");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+test("buildNatureRecord y buildStatRecord agregan sus campos al registro base", () =>
+{
+    const nature = reference.buildNatureRecord({
+        id: 3,
+        name: "adamant",
+        names: [{ language: { name: "es" }, name: "Firme" }],
+        increased_stat: { name: "attack" },
+        decreased_stat: { name: "special-attack" },
+    }, "adamant", ["es", "en"]);
+
+    assert.deepEqual(nature, {
+        id: 3,
+        display: "Firme",
+        display_lang: "es",
+        names: { es: "Firme", en: null },
+        increased_stat: "attack",
+        decreased_stat: "special-attack",
+    });
+
+    assert.equal(reference.buildStatRecord({ id: 7, is_battle_only: true }, "accuracy", ["es"]).is_battle_only, true);
+    assert.deepEqual(reference.buildReferenceRecord(null, "user", ["es"]), { id: null, display: "user", display_lang: "slug", names: { es: null } });
+});
+
+test("findUnknownStats y findRemovedEntries", () =>
+{
+    const bundle = {
+        nature: { adamant: { increased_stat: "attack", decreased_stat: "special-attack" }, hardy: { increased_stat: null, decreased_stat: null } },
+        stat: { attack: {} },
+    };
+
+    assert.deepEqual(reference.findUnknownStats(bundle), ["nature.adamant.decreased_stat=special-attack"]);
+    assert.deepEqual(reference.findRemovedEntries({ stat: { hp: {}, attack: {} }, "move-target": { user: {} } }, bundle), ["stat.hp", "move-target.user"]);
+});
+
+test("reference: publica el bundle, no rota si no cambió y sí si cambió un nombre", async (t) =>
+{
+    const sb = createSandbox(t, [reference]);
+    const routes = loadRoutes("reference");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+
+    const first = await reference.runReferenceUpdater(reference, sb.options);
+    assert.match(first.fileName, /^reference_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+
+    const bundle = sb.readCurrentMap(reference);
+    assert.deepEqual(Object.keys(bundle), ["nature", "stat", "move-damage-class", "move-target"]);
+    assert.deepEqual(Object.keys(bundle.stat), ["hp", "attack", "special-attack", "accuracy"]);
+    assert.equal(bundle.nature.adamant.increased_stat, "attack");
+    assert.equal(bundle["move-damage-class"].physical.display, "físico");
+    assert.equal(bundle["move-target"]["selected-pokemon"].display_lang, "en");
+    assert.equal(sb.readManifest(reference).count, 4);
+
+    sb.setToday("2026-08-02");
+    assert.equal(await reference.runReferenceUpdater(reference, sb.options), null);
+
+    routes[`${API}/move-target/user`].names.push({ language: { name: "es" }, name: "Usuario" });
+    sb.setToday("2026-08-03");
+    sb.serve(routes);
+
+    const third = await reference.runReferenceUpdater(reference, sb.options);
+    assert.equal(third.version, "2026-08-03");
+    assert.deepEqual(sb.readJSON(reference, "changelog.json").entries[0].modified["move-target"].user.after.display, "Usuario");
+});
+
+test("reference: si falla una request no publica nada", async (t) =>
+{
+    const sb = createSandbox(t, [reference]);
+    const routes = loadRoutes("reference");
+    delete routes[`${API}/stat/attack`];
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+
+    await assert.rejects(reference.runReferenceUpdater(reference, sb.options), /\/stat: fallaron 1 de 4 \(attack\)/);
+    assert.equal(sb.readManifest(reference).reference_url, null);
+});
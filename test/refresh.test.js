@@ -0,0 +1,62 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { changedFields, isSameValue } = require("../scripts/lib/diff");
+const { getRefreshConfig, selectRefreshKeys } = require("../scripts/lib/refresh");
+
+function state(extra)
+{
+    return { cursor: 0, fetched_at: {}, last_changes: null, dirty: false, ...extra };
+}
+
+test("changedFields compara sin importar el orden de claves", () =>
+{
+    assert.equal(isSameValue({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }), true);
+    assert.deepEqual(changedFields({ id: 1, types: ["fire"] }, { types: ["fire", "flying"], id: 1 }), ["types"]);
+    assert.deepEqual(changedFields({ id: 1 }, { id: 1, display: "Hedor" }), ["display"]);
+    assert.deepEqual(changedFields(null, null), []);
+});
+
+test("getRefreshConfig lee el modo del dataset antes que el global", (t) =>
+{
+    t.after(() =>
+    {
+        delete process.env.REFRESH_MODE;
+        delete process.env.POKEMON_REFRESH_MODE;
+        delete process.env.REFRESH_SLICE;
+    });
+
+    process.env.REFRESH_MODE = "all";
+    process.env.POKEMON_REFRESH_MODE = "slice";
+    process.env.REFRESH_SLICE = "7";
+
+    assert.deepEqual(getRefreshConfig({ envPrefix: "POKEMON" }), { mode: "slice", slice: 7, maxAgeDays: 90 });
+    assert.equal(getRefreshConfig({ envPrefix: "ITEMS" }).mode, "all");
+
+    process.env.REFRESH_MODE = "sometimes";
+    assert.throws(() => getRefreshConfig({ envPrefix: "ITEMS" }), /REFRESH_MODE inválido/);
+});
+
+test("selectRefreshKeys en modo slice rota con el cursor", () =>
+{
+    const keys = ["e", "d", "c", "b", "a"];
+    const st = state();
+    const config = { mode: "slice", slice: 2, maxAgeDays: 90 };
+
+    assert.deepEqual(selectRefreshKeys(keys, st, config), ["a", "b"]);
+    assert.deepEqual(selectRefreshKeys(keys, st, config), ["c", "d"]);
+    assert.deepEqual(selectRefreshKeys(keys, st, config), ["e", "a"]);
+    assert.equal(st.cursor, 1);
+});
+
+test("selectRefreshKeys en modo stale toma lo viejo o sin fecha", () =>
+{
+    const st = state({ fetched_at: { a: "2026-08-01", b: "2026-01-01" } });
+    const config = { mode: "stale", slice: 100, maxAgeDays: 90 };
+
+    assert.deepEqual(selectRefreshKeys(["a", "b", "c"], st, config, "2026-08-15"), ["b", "c"]);
+    assert.deepEqual(selectRefreshKeys(["a", "b"], st, { ...config, mode: "none" }, "2026-08-15"), []);
+    assert.deepEqual(selectRefreshKeys(["b", "a"], st, { ...config, mode: "all" }, "2026-08-15"), ["a", "b"]);
+});
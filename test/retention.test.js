@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { join } = require("path");
+
+const { writeJSON } = require("../scripts/lib/io");
+const { planRetention, applyRetention, getRetentionConfig } = require("../scripts/lib/retention");
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox, addListEntry } = require("./helpers/sandbox");
+
+const manifest = (fileName) => ({ version: null, pokemon_url: `/pokemon/${fileName}` });
+
+function seed(sb, versions)
+{
+    const dir = join(sb.root, "public", "pokemon");
+
+    for(const version of versions)
+    {
+        writeJSON(join(dir, `pokemon_map.${version}.json`), {});
+    }
+
+    writeJSON(join(dir, "notes.json"), {});
+    return dir;
+}
+
+test("planRetention conserva el referenciado + las N-1 más nuevas", (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = seed(sb, ["2026-02-21", "2026-05-01", "2026-08-01", "2026-09-01"]);
+
+    // El manifest apunta a una versión que no es la más nueva: igual se conserva
+    assert.deepEqual(planRetention(pokemon, dir, manifest("pokemon_map.2026-08-01.json"), { keep: 1 }), {
+        keep: ["pokemon_map.2026-08-01.json"],
+        remove: ["pokemon_map.2026-09-01.json", "pokemon_map.2026-05-01.json", "pokemon_map.2026-02-21.json"],
+    });
+
+    assert.deepEqual(planRetention(pokemon, dir, manifest("pokemon_map.2026-09-01.json"), { keep: 3 }), {
+        keep: ["pokemon_map.2026-09-01.json", "pokemon_map.2026-08-01.json", "pokemon_map.2026-05-01.json"],
+        remove: ["pokemon_map.2026-02-21.json"],
+    });
+});
+
+test("applyRetention en dry-run no borra nada", (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const dir = seed(sb, ["2026-02-21", "2026-08-01"]);
+
+    const plan = applyRetention(pokemon, dir, manifest("pokemon_map.2026-08-01.json"), { keep: 1, dryRun: true });
+
+    assert.deepEqual(plan.remove, ["pokemon_map.2026-02-21.json"]);
+    assert.deepEqual(sb.mapFiles(pokemon), ["pokemon_map.2026-02-21.json", "pokemon_map.2026-08-01.json"]);
+    assert.equal(sb.exists(pokemon, "notes.json"), true);
+});
+
+test("getRetentionConfig lee RETENTION_KEEP por dataset", (t) =>
+{
+    t.after(() => delete process.env.POKEMON_RETENTION_KEEP);
+    process.env.POKEMON_RETENTION_KEEP = "3";
+
+    assert.deepEqual(getRetentionConfig(pokemon), { keep: 3, dryRun: false });
+    assert.deepEqual(getRetentionConfig({ envPrefix: "ITEMS" }), { keep: 1, dryRun: false });
+});
+
+test("updater: al rotar también borra huérfanos de corridas viejas", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    seed(sb, ["2026-02-21"]);
+
+    sb.setToday("2026-09-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, { id: 7, name: "squirtle", types: [{ type: { name: "water" } }] }));
+    await runUpdater(pokemon, sb.options);
+
+    assert.deepEqual(sb.mapFiles(pokemon), [sb.currentFile(pokemon)]);
+    assert.match(sb.currentFile(pokemon), /^pokemon_map\.2026-09-01\./);
+});
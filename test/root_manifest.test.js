@@ -0,0 +1,74 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { join } = require("path");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { readJSON, writeJSON } = require("../scripts/lib/io");
+const { buildRootManifest, syncRootManifest } = require("../scripts/lib/root_manifest");
+const { validateRootManifest } = require("../scripts/validate_maps");
+const pokemon = require("../scripts/datasets/pokemon");
+const abilities = require("../scripts/datasets/abilities");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+function readRoot(sb)
+{
+    return readJSON(join(sb.root, "public", "manifest.json"));
+}
+
+test("rotar un dataset sincroniza public/manifest.json con url, hash, count y schema", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon, abilities]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+
+    const manifest = sb.readManifest(pokemon);
+    const root = readRoot(sb);
+
+    assert.equal(root.updated_at, "2026-08-01T00:00:00.000Z");
+    assert.deepEqual(Object.keys(root.datasets), ["pokemon", "abilities"]);
+    assert.deepEqual(root.datasets.pokemon, {
+        manifest: "/pokemon/manifest.json",
+        changelog: "/pokemon/changelog.json",
+        url: manifest.pokemon_url,
+        version: "2026-08-01",
+        sha256: manifest.sha256,
+        bytes: manifest.bytes,
+        count: 3,
+        schema: "/schemas/pokemon_map.schema.json",
+        schema_version: 4,
+        updated_at: "2026-08-01T00:00:00.000Z",
+        variants: manifest.variants,
+    });
+    assert.equal(root.datasets.abilities.url, null);
+
+    sb.setToday("2026-08-02");
+    sb.serve(loadRoutes("abilities"));
+    await runUpdater(abilities, sb.options);
+
+    const after = readRoot(sb);
+    assert.equal(after.updated_at, "2026-08-02T00:00:00.000Z");
+    assert.equal(after.datasets.abilities.url, sb.readManifest(abilities).ability_url);
+    assert.deepEqual(after.datasets.pokemon, root.datasets.pokemon);
+    assert.deepEqual(validateRootManifest(sb.root, [pokemon, abilities]), []);
+});
+
+test("syncRootManifest solo escribe si algo cambió y validate_maps detecta desfasajes", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+
+    assert.equal(syncRootManifest(sb.root, [pokemon]), true);
+    assert.equal(syncRootManifest(sb.root, [pokemon]), false);
+    assert.deepEqual(readRoot(sb), buildRootManifest(sb.root, [pokemon]));
+
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+    assert.deepEqual(validateRootManifest(sb.root, [pokemon]), []);
+
+    // Un manifest de dataset editado a mano deja desfasado el raíz
+    writeJSON(sb.path(pokemon, "manifest.json"), { ...sb.readManifest(pokemon), version: "2026-08-05" });
+    assert.match(validateRootManifest(sb.root, [pokemon])[0], /no coincide/);
+});
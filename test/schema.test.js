@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { join } = require("path");
+
+const { validate, loadSchema } = require("../scripts/lib/schema");
+const { validateDataset } = require("../scripts/validate_maps");
+const { runUpdater } = require("../scripts/lib/updater");
+const datasets = require("../scripts/datasets");
+const pokemon = require("../scripts/datasets/pokemon");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+test("validate reporta tipo, required, additionalProperties y propertyNames", () =>
+{
+    const errors = validate({
+        "Bad Key": { id: 1, types: [] },
+        "a": { id: "1", types: ["fire", "fire"] },
+        "b": { types: [], extra: true },
+    }, loadSchema("pokemon_map.schema.json"));
+
+    assert.deepEqual(errors, [
+        "${Bad Key}: \"Bad Key\" no cumple ^[a-z0-9][a-z0-9-]*$",
+        "$.a.id: se esperaba integer | null y vino string",
+        "$.a.types: elementos repetidos",
+        "$.b: falta \"id\"",
+        "$.b.extra: no permitido",
+    ]);
+});
+
+test("validate resuelve $ref y enum en moves", () =>
+{
+    const errors = validate({
+        "pound": {
+            id: 1,
+            display: null,
+            type: "normal",
+            damage_class: "weird",
+            isContact: null,
+            power: null,
+            accuracy: null,
+            pp: 35,
+            machinesByGroup: { "red-blue": { machine: "tm01" } },
+        },
+    }, loadSchema("move_es_map.schema.json"));
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /damage_class/);
+    assert.match(errors[1], /falta "machine_es"/);
+});
+
+test("lo publicado en public/ cumple los schemas", (t) =>
+{
+    t.mock.method(console, "log", () => {});
+
+    for(const def of datasets)
+    {
+        assert.deepEqual(validateDataset(join(__dirname, ".."), def), [], def.dir);
+    }
+});
+
+test("un map inválido aborta sin tocar el archivo publicado", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+
+    const broken = { ...pokemon, buildRecord: () => ({ id: "oops", display: "oops", types: [] }) };
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-09-01");
+    await assert.rejects(runUpdater(broken, sb.options), /no cumple pokemon_map\.schema\.json/);
+
+    assert.deepEqual(sb.mapFiles(pokemon), [sb.currentFile(pokemon)]);
+    assert.equal(sb.readManifest(pokemon).version, "2026-08-01");
+});
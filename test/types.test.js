@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const types = require("../scripts/datasets/types");
+const { loadRoutes, createSandbox } = require("./helpers/sandbox");
+
+test("buildDamageRelations ordena, deduplica y completa relaciones faltantes", () =>
+{
+    assert.deepEqual(types.buildDamageRelations({
+        double_damage_to: [{ name: "grass" }, { name: "bug" }, { name: "grass" }],
+        no_damage_from: [null, { name: "ghost" }],
+    }), {
+        double_damage_from: [],
+        double_damage_to: ["bug", "grass"],
+        half_damage_from: [],
+        half_damage_to: [],
+        no_damage_from: ["ghost"],
+        no_damage_to: [],
+    });
+});
+
+test("generationNumber ordena generaciones en romanos", () =>
+{
+    assert.deepEqual(["generation-i", "generation-iv", "generation-v", "generation-ix"].map(types.generationNumber), [1, 4, 5, 9]);
+    assert.equal(types.generationNumber("otra-cosa"), Number.MAX_SAFE_INTEGER);
+});
+
+test("buildPastDamageRelations queda por generación, más vieja primero", () =>
+{
+    const past = types.buildPastDamageRelations({
+        past_damage_relations: [
+            { generation: { name: "generation-v" }, damage_relations: { half_damage_from: [{ name: "ghost" }] } },
+            { generation: { name: "generation-i" }, damage_relations: { double_damage_to: [{ name: "poison" }] } },
+        ],
+    });
+
+    assert.deepEqual(past.map((p) => p.generation), ["generation-i", "generation-v"]);
+    assert.deepEqual(past[1].damage_relations.half_damage_from, ["ghost"]);
+});
+
+test("types: publica nombres ES, tabla actual y tablas anteriores", async (t) =>
+{
+    const sb = createSandbox(t, []);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("types"));
+    await runUpdater(types, sb.options);
+
+    assert.match(sb.readManifest(types).types_url, /^\/types\/type_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+
+    const map = sb.readCurrentMap(types);
+    assert.deepEqual(Object.keys(map), ["normal", "steel", "fire", "stellar"]);
+    assert.deepEqual(map.normal, {
+        id: 1,
+        display: "Normal",
+        display_lang: "es",
+        names: { es: "Normal", en: "Normal", ja: "ノーマル" },
+        damage_relations: {
+            double_damage_from: ["fighting"],
+            double_damage_to: [],
+            half_damage_from: [],
+            half_damage_to: ["rock", "steel"],
+            no_damage_from: ["ghost"],
+            no_damage_to: ["ghost"],
+        },
+        past_damage_relations: [],
+    });
+    assert.deepEqual(map.steel.past_damage_relations.map((p) => p.generation), ["generation-v"]);
+    assert.ok(map.steel.past_damage_relations[0].damage_relations.half_damage_from.includes("ghost"));
+    assert.ok(!map.steel.damage_relations.half_damage_from.includes("ghost"));
+
+    assert.deepEqual(sb.readJSON(types, "missing_es.json"), {
+        count: 1,
+        entries: { stellar: { display: "Stellar", display_lang: "en", en: "Stellar" } },
+    });
+});
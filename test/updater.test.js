@@ -0,0 +1,454 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rmSync, readFileSync } = require("fs");
+const { join } = require("path");
+const { createHash } = require("crypto");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { writeJSON } = require("../scripts/lib/io");
+const { API, setFetch } = require("../scripts/lib/http");
+const pokemon = require("../scripts/datasets/pokemon");
+const abilities = require("../scripts/datasets/abilities");
+const items = require("../scripts/datasets/items");
+const moves = require("../scripts/datasets/moves");
+const { createFixtureFetch } = require("../scripts/lib/fixtures");
+const { loadRoutes, createSandbox, addListEntry, expectedPokemon } = require("./helpers/sandbox");
+
+const squirtle = { id: 7, name: "squirtle", types: [{ slot: 1, type: { name: "water" } }] };
+
+test("bootstrap: sin mapa previo arma el map completo y apunta el manifest", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+
+    const result = await runUpdater(pokemon, sb.options);
+
+    assert.equal(result.version, "2026-08-01");
+    assert.match(result.fileName, /^pokemon_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+    assert.equal(result.fileName, `pokemon_map.2026-08-01.${result.sha256.slice(0, 8)}.json`);
+
+    const content = readFileSync(sb.path(pokemon, result.fileName));
+    assert.deepEqual(sb.readManifest(pokemon), {
+        version: "2026-08-01",
+        pokemon_url: `/pokemon/${result.fileName}`,
+        sha256: createHash("sha256").update(content).digest("hex"),
+        bytes: content.length,
+        count: 3,
+        updated_at: "2026-08-01T00:00:00.000Z",
+        schema_version: 4,
+        patches: [],
+        variants: sb.readManifest(pokemon).variants,
+    });
+    const routes = loadRoutes("pokemon");
+    assert.deepEqual(sb.readCurrentMap(pokemon), {
+        bulbasaur: expectedPokemon(routes, "bulbasaur"),
+        ivysaur: expectedPokemon(routes, "ivysaur"),
+        charmander: expectedPokemon(routes, "charmander"),
+    });
+    assert.deepEqual(sb.readCurrentMap(pokemon).charmander.names, { es: "Charmander", en: "Charmander", ja: "ヒトカゲ" });
+    assert.deepEqual(sb.readCurrentMap(pokemon).bulbasaur.abilities, [
+        { slug: "overgrow", hidden: false, slot: 1 },
+        { slug: "chlorophyll", hidden: true, slot: 3 },
+    ]);
+});
+
+test("no-op: si el count no creció no escribe nada", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.serve(loadRoutes("pokemon"));
+    sb.setToday("2026-08-01");
+    await runUpdater(pokemon, sb.options);
+
+    sb.setToday("2026-09-01");
+    const result = await runUpdater(pokemon, sb.options);
+
+    assert.equal(result, null);
+    assert.deepEqual(sb.mapFiles(pokemon), [sb.currentFile(pokemon)]);
+    assert.match(sb.currentFile(pokemon), /^pokemon_map\.2026-08-01\./);
+    assert.equal(sb.readManifest(pokemon).version, "2026-08-01");
+});
+
+test("incremental: agrega lo nuevo, rota el manifest y borra el archivo viejo", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.serve(routes);
+    sb.setToday("2026-08-01");
+    await runUpdater(pokemon, sb.options);
+
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+    sb.setToday("2026-09-01");
+    await runUpdater(pokemon, sb.options);
+
+    assert.deepEqual(sb.mapFiles(pokemon), [sb.currentFile(pokemon)]);
+    assert.match(sb.currentFile(pokemon), /^pokemon_map\.2026-09-01\.[0-9a-f]{8}\.json$/);
+    assert.equal(sb.readManifest(pokemon).count, 4);
+    assert.deepEqual(Object.keys(sb.readCurrentMap(pokemon)), ["bulbasaur", "ivysaur", "charmander", "squirtle"]);
+});
+
+test("otro día con el mismo contenido: no rota aunque la corrida haya marcado cambios", async (t) =>
+{
+    const sb = createSandbox(t, [abilities]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("abilities"));
+    const first = await runUpdater(abilities, sb.options);
+
+    // Algo marca ctx.changed (ej. un registro que siempre se vuelve a pedir) pero el map queda igual
+    const touchy = { ...abilities, prepare: (ctx) => { ctx.changed = true; } };
+    sb.setToday("2026-09-01");
+    assert.equal(await runUpdater(touchy, sb.options), null);
+
+    assert.deepEqual(sb.mapFiles(abilities), [first.fileName]);
+    assert.equal(sb.readManifest(abilities).version, "2026-08-01");
+    assert.deepEqual(sb.readManifest(abilities).patches, []);
+    assert.equal(sb.readJSON(abilities, "changelog.json").entries.length, 1);
+});
+
+test("mismo día: contenido distinto => nombre distinto, no pisa el archivo publicado", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+    const first = sb.currentFile(pokemon);
+
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+    const result = await runUpdater(pokemon, sb.options);
+
+    assert.notEqual(result.fileName, first);
+    assert.match(result.fileName, /^pokemon_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+    assert.deepEqual(sb.mapFiles(pokemon), [result.fileName]);
+    assert.equal(Object.keys(sb.readCurrentMap(pokemon)).length, 4);
+});
+
+test("integridad: un manifest sin hash se completa al abrir el dataset", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+
+    const manifest = sb.readManifest(pokemon);
+    const expected = { sha256: manifest.sha256, bytes: manifest.bytes, count: manifest.count };
+    writeJSON(sb.path(pokemon, "manifest.json"), { version: manifest.version, pokemon_url: manifest.pokemon_url });
+
+    sb.setToday("2026-09-01");
+    assert.equal(await runUpdater(pokemon, sb.options), null);
+
+    const after = sb.readManifest(pokemon);
+    assert.deepEqual({ sha256: after.sha256, bytes: after.bytes, count: after.count }, expected);
+    assert.equal(after.version, "2026-08-01");
+});
+
+test("failures.json: lo que falla se anota y se reintenta aunque el count no crezca", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    const broken = { ...routes };
+    delete broken[`${API}/pokemon/ivysaur`];
+
+    // 1 de 3 falla: se permite para poder publicar el resto
+    process.env.GUARD_MAX_FAILURE_RATIO = "0.5";
+    t.after(() => delete process.env.GUARD_MAX_FAILURE_RATIO);
+
+    sb.setToday("2026-08-01");
+    sb.serve(broken);
+    await runUpdater(pokemon, sb.options);
+
+    const ledger = sb.readJSON(pokemon, "failures.json");
+    assert.deepEqual(Object.keys(ledger), ["ivysaur"]);
+    assert.equal(ledger.ivysaur.attempts, 1);
+    assert.match(ledger.ivysaur.error, /HTTP 404/);
+
+    sb.setToday("2026-08-02");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    assert.deepEqual(sb.readJSON(pokemon, "failures.json"), {});
+    assert.deepEqual(sb.readCurrentMap(pokemon).ivysaur, expectedPokemon(routes, "ivysaur"));
+});
+
+test("failures.json: un pendiente que PokeAPI eliminó se quita del ledger y no frena la rotación", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    // Pendiente viejo de un Pokemon que ya no existe (404) + uno nuevo real
+    writeJSON(sb.path(pokemon, "failures.json"), {
+        missingno: { attempts: 3, error: "HTTP 503 GET x", first_failed_at: "2026-06-01", last_failed_at: "2026-07-01" },
+    });
+    sb.setToday("2026-08-02");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+
+    const result = await runUpdater(pokemon, sb.options);
+    assert.equal(result.version, "2026-08-02");
+    assert.ok(sb.readCurrentMap(pokemon).squirtle);
+    assert.deepEqual(sb.readJSON(pokemon, "failures.json"), {});
+});
+
+test("failures.json: se podan los pendientes que ya no están en el índice", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    // El reintento falla con 503 (queda anotado), pero el índice ya no lo lista
+    writeJSON(sb.path(pokemon, "failures.json"), {
+        missingno: { attempts: 1, error: "HTTP 503 GET x", first_failed_at: "2026-07-01", last_failed_at: "2026-07-01" },
+    });
+    const fixtureFetch = createFixtureFetch(join(sb.root, "fixtures"), "replay");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, squirtle));
+    setFetch((url, init) => (String(url) === `${API}/pokemon/missingno`
+        ? Promise.resolve({ ok: false, status: 503, headers: new Map(), json: async () => ({}) })
+        : fixtureFetch(url, init)));
+
+    process.env.HTTP_RETRIES = "0";
+    process.env.GUARD_MAX_FAILURE_RATIO = "0.5";
+    t.after(() =>
+    {
+        delete process.env.HTTP_RETRIES;
+        delete process.env.GUARD_MAX_FAILURE_RATIO;
+    });
+
+    sb.setToday("2026-08-02");
+    await runUpdater(pokemon, sb.options);
+    assert.deepEqual(sb.readJSON(pokemon, "failures.json"), {});
+});
+
+test("refresh: REFRESH_MODE=all detecta registros modificados", async (t) =>
+{
+    const sb = createSandbox(t, [abilities]);
+    const routes = loadRoutes("abilities");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(abilities, sb.options);
+
+    const changed = JSON.parse(JSON.stringify(routes));
+    changed[`${API}/ability/as-one-glastrier`].names.push({ language: { name: "es" }, name: "Unidad Ecuestre" });
+
+    process.env.REFRESH_MODE = "all";
+    t.after(() => delete process.env.REFRESH_MODE);
+
+    sb.setToday("2026-09-01");
+    sb.serve(changed);
+    await runUpdater(abilities, sb.options);
+
+    assert.equal(sb.readCurrentMap(abilities)["as-one-glastrier"].display, "Unidad Ecuestre");
+    assert.deepEqual(sb.readJSON(abilities, "refresh_state.json").last_changes, {
+        date: "2026-09-01",
+        changed: { "as-one-glastrier": ["display", "display_lang", "names"] },
+    });
+});
+
+test("abilities: display ES con fallback EN", async (t) =>
+{
+    const sb = createSandbox(t, [abilities]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("abilities"));
+    await runUpdater(abilities, sb.options);
+
+    assert.deepEqual(sb.readCurrentMap(abilities), {
+        "stench": { id: 1, gen: "generation-iii", display: "Hedor", display_lang: "es", names: { es: "Hedor", en: "Stench", ja: null } },
+        "drizzle": { id: 2, gen: "generation-iii", display: "Llovizna", display_lang: "es", names: { es: "Llovizna", en: "Drizzle", ja: null } },
+        "as-one-glastrier": { id: 266, gen: "generation-viii", display: "As One", display_lang: "en", names: { es: null, en: "As One", ja: null } },
+    });
+    assert.deepEqual(sb.readJSON(abilities, "missing_es.json"), {
+        count: 1,
+        entries: { "as-one-glastrier": { display: "As One", display_lang: "en", en: "As One" } },
+    });
+});
+
+test("items: crea el manifest si falta y ordena por id", async (t) =>
+{
+    const sb = createSandbox(t, []);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("items"));
+    await runUpdater(items, sb.options);
+
+    assert.match(sb.readManifest(items).items_url, /^\/items\/item_es_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+    assert.deepEqual(Object.keys(sb.readCurrentMap(items)), ["master-ball", "ultra-ball", "potion"]);
+    assert.deepEqual(sb.readCurrentMap(items).potion, {
+        id: 17,
+        display: "Poción",
+        display_lang: "es",
+        names: { es: "Poción", en: "Potion", ja: null },
+        category: "healing",
+    });
+});
+
+test("moves: rebuild completo de machines en bootstrap, no-op después y delta incremental", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = loadRoutes("moves");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+
+    const manifest = sb.readManifest(moves);
+    assert.match(manifest.moves_url, /^\/moves\/move_es_map\.2026-08-01\.[0-9a-f]{8}\.json$/);
+    const firstFile = sb.currentFile(moves);
+    assert.equal(manifest.machines_count, 3);
+    assert.equal(manifest.machines_full_rebuild_at, "2026-08-01");
+
+    const map = sb.readCurrentMap(moves);
+    assert.deepEqual(Object.keys(map), ["pound", "thunder-punch", "swords-dance"]);
+    assert.equal(map.pound.isContact, true);
+    assert.equal(map["swords-dance"].isContact, false);
+    assert.deepEqual(map["swords-dance"].machinesByGroup, {
+        "red-blue": { machine: "tm03", machine_es: "MT03" },
+        "sword-shield": { machine: "tr01", machine_es: "DT01" },
+    });
+    assert.deepEqual(sb.readJSON(moves, "machines_index.json")["thunder-punch"], {
+        "red-blue": { machine: "tm01", machine_es: "MT01" },
+    });
+
+    // Nada cambió => no se reescribe
+    sb.setToday("2026-08-15");
+    assert.equal(await runUpdater(moves, sb.options), null);
+    assert.equal(sb.readManifest(moves).version, "2026-08-01");
+
+    // Machine nueva => sync incremental aplicado sobre el map
+    const withMachine = JSON.parse(JSON.stringify(routes));
+    withMachine[`${API}/machine?limit=1`].count = 4;
+    withMachine[`${API}/machine/4/`] = {
+        id: 4,
+        item: { name: "tm05" },
+        move: { name: "pound" },
+        version_group: { name: "scarlet-violet" },
+    };
+
+    sb.setToday("2026-09-01");
+    sb.serve(withMachine);
+    await runUpdater(moves, sb.options);
+
+    assert.equal(sb.readManifest(moves).machines_count, 4);
+    assert.deepEqual(sb.readCurrentMap(moves).pound.machinesByGroup, {
+        "scarlet-violet": { machine: "tm05", machine_es: "MT05" },
+    });
+    assert.equal(sb.exists(moves, firstFile), false);
+});
+
+test("moves: archivo referenciado faltante => bootstrap desde cero", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("moves"));
+    await runUpdater(moves, sb.options);
+
+    rmSync(sb.path(moves, sb.currentFile(moves)));
+
+    sb.setToday("2026-08-02");
+    await runUpdater(moves, sb.options);
+
+    assert.equal(Object.keys(sb.readCurrentMap(moves)).length, 3);
+});
+
+test("moves: flags de Showdown se backfillean sobre el map existente sin volver a pedir los moves", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    const routes = loadRoutes("moves");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(moves, sb.options);
+
+    assert.deepEqual(sb.readCurrentMap(moves)["thunder-punch"].flags, { contact: true, mirror: true, protect: true, punch: true });
+
+    // Map publicado antes de los flags + Showdown agrega "metronome" a swords-dance
+    const legacy = sb.readCurrentMap(moves);
+    for(const name of Object.keys(legacy))
+    {
+        delete legacy[name].flags;
+    }
+    writeJSON(sb.path(moves, sb.currentFile(moves)), legacy);
+    routes["https://play.pokemonshowdown.com/data/moves.json"].swordsdance.flags.metronome = 1;
+
+    const fixtureFetch = createFixtureFetch(join(sb.root, "fixtures"), "replay");
+    sb.serve(routes);
+    const requested = [];
+    setFetch((url, init) =>
+    {
+        requested.push(String(url));
+        return fixtureFetch(url, init);
+    });
+
+    sb.setToday("2026-08-02");
+    assert.notEqual(await runUpdater(moves, sb.options), null);
+
+    const map = sb.readCurrentMap(moves);
+    assert.deepEqual(map.pound.flags, { contact: true, mirror: true, protect: true });
+    assert.deepEqual(map["swords-dance"].flags, { dance: true, metronome: true, snatch: true });
+    assert.deepEqual(requested.filter((url) => url.startsWith(`${API}/move/`)), []);
+});
+
+test("pokemon: las formas llevan display de la especie, species base y form_label", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = addListEntry(loadRoutes("pokemon"), API, "pokemon", "charmander-gmax", 10187, {
+        id: 10187,
+        name: "charmander-gmax",
+        types: [{ slot: 1, type: { name: "fire" } }],
+        species: { name: "charmander" },
+        forms: [{ name: "charmander-gmax" }],
+    });
+    routes[`${API}/pokemon-form/charmander-gmax`] = {
+        name: "charmander-gmax",
+        form_name: "gmax",
+        form_names: [{ language: { name: "en" }, name: "Gigantamax Charmander" }],
+    };
+
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+
+    const map = sb.readCurrentMap(pokemon);
+    assert.deepEqual([map.charmander.display, map.charmander.form, map.charmander.form_label], ["Charmander", null, null]);
+    assert.equal(map["charmander-gmax"].display, "Charmander");
+    assert.equal(map["charmander-gmax"].species, "charmander");
+    assert.equal(map["charmander-gmax"].form, "gmax");
+    assert.equal(map["charmander-gmax"].form_label, "Gigantamax Charmander");
+});
+
+test("names: cambiar NAME_LANGUAGES migra los registros aunque el count no crezca", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+
+    // Una forma más de bulbasaur: comparte especie, se pide una sola vez
+    const withForm = addListEntry(routes, API, "pokemon", "bulbasaur-gmax", 10195, {
+        id: 10195,
+        name: "bulbasaur-gmax",
+        types: [{ slot: 1, type: { name: "grass" } }],
+        species: { name: "bulbasaur" },
+    });
+
+    sb.setToday("2026-08-01");
+    sb.serve(withForm);
+
+    const fixtureFetch = createFixtureFetch(join(sb.root, "fixtures"), "replay");
+    const requested = [];
+    setFetch((url, init) =>
+    {
+        requested.push(String(url));
+        return fixtureFetch(url, init);
+    });
+
+    await runUpdater(pokemon, sb.options);
+    assert.equal(requested.filter((url) => url.endsWith("/pokemon-species/bulbasaur")).length, 1);
+    assert.equal(sb.readCurrentMap(pokemon)["bulbasaur-gmax"].names.ja, "フシギダネ");
+
+    process.env.NAME_LANGUAGES = "es,fr";
+    sb.setToday("2026-09-01");
+    const result = await runUpdater(pokemon, sb.options);
+
+    assert.notEqual(result, null);
+    assert.deepEqual(sb.readCurrentMap(pokemon).charmander.names, { es: "Charmander", fr: "Salamèche" });
+});
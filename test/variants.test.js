@@ -0,0 +1,96 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { readFileSync, rmSync } = require("fs");
+const { gunzipSync, brotliDecompressSync } = require("zlib");
+const { createHash } = require("crypto");
+
+const { runUpdater } = require("../scripts/lib/updater");
+const { API } = require("../scripts/lib/http");
+const pokemon = require("../scripts/datasets/pokemon");
+const moves = require("../scripts/datasets/moves");
+const { loadRoutes, createSandbox, addListEntry } = require("./helpers/sandbox");
+
+function fileOf(url)
+{
+    return url.split("/").pop();
+}
+
+test("el map se publica minificado, .gz y .br, listados en el manifest con tamaño y sha256", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("pokemon"));
+    await runUpdater(pokemon, sb.options);
+
+    const manifest = sb.readManifest(pokemon);
+    const pretty = sb.readCurrentMap(pokemon);
+    const base = sb.currentFile(pokemon).replace(/\.json$/, "");
+
+    assert.deepEqual(Object.keys(manifest.variants), ["min", "gz", "br"]);
+    assert.equal(manifest.variants.min.url, `/pokemon/${base}.min.json`);
+    assert.equal(manifest.variants.gz.url, `/pokemon/${base}.min.json.gz`);
+    assert.equal(manifest.variants.br.url, `/pokemon/${base}.min.json.br`);
+
+    for(const variant of Object.values(manifest.variants))
+    {
+        const data = readFileSync(sb.path(pokemon, fileOf(variant.url)));
+        assert.equal(variant.bytes, data.length);
+        assert.equal(variant.sha256, createHash("sha256").update(data).digest("hex"));
+    }
+
+    const min = readFileSync(sb.path(pokemon, fileOf(manifest.variants.min.url)), "utf8");
+    assert.equal(min, JSON.stringify(pretty));
+    assert.equal(gunzipSync(readFileSync(sb.path(pokemon, fileOf(manifest.variants.gz.url)))).toString("utf8"), min);
+    assert.equal(brotliDecompressSync(readFileSync(sb.path(pokemon, fileOf(manifest.variants.br.url)))).toString("utf8"), min);
+    assert.ok(manifest.variants.min.bytes < manifest.bytes);
+});
+
+test("al rotar se borran las variantes del map viejo y un checkout sin variantes las regenera en el no-op", async (t) =>
+{
+    const sb = createSandbox(t, [pokemon]);
+    const routes = loadRoutes("pokemon");
+    sb.setToday("2026-08-01");
+    sb.serve(routes);
+    await runUpdater(pokemon, sb.options);
+    const oldVariants = Object.values(sb.readManifest(pokemon).variants).map((v) => fileOf(v.url));
+
+    sb.setToday("2026-09-01");
+    sb.serve(addListEntry(routes, API, "pokemon", "squirtle", 7, { id: 7, name: "squirtle", types: [{ type: { name: "water" } }] }));
+    await runUpdater(pokemon, sb.options);
+
+    const manifest = sb.readManifest(pokemon);
+    const current = Object.values(manifest.variants).map((v) => fileOf(v.url));
+
+    for(const fileName of oldVariants)
+    {
+        assert.equal(sb.exists(pokemon, fileName), false);
+    }
+
+    // Checkout limpio: las variantes están en .gitignore
+    for(const fileName of current)
+    {
+        rmSync(sb.path(pokemon, fileName));
+    }
+
+    sb.setToday("2026-09-02");
+    assert.equal(await runUpdater(pokemon, sb.options), null);
+    assert.deepEqual(sb.readManifest(pokemon).variants, manifest.variants);
+    assert.ok(current.every((fileName) => sb.exists(pokemon, fileName)));
+});
+
+test("moves: machines_index.json también tiene variantes en machines_variants", async (t) =>
+{
+    const sb = createSandbox(t, [moves]);
+    sb.setToday("2026-08-01");
+    sb.serve(loadRoutes("moves"));
+    await runUpdater(moves, sb.options);
+
+    const manifest = sb.readManifest(moves);
+    const min = readFileSync(sb.path(moves, "machines_index.min.json"), "utf8");
+
+    assert.equal(manifest.machines_variants.min.url, "/moves/machines_index.min.json");
+    assert.deepEqual(JSON.parse(min), sb.readJSON(moves, "machines_index.json"));
+    assert.equal(gunzipSync(readFileSync(sb.path(moves, "machines_index.min.json.gz"))).toString("utf8"), min);
+});